@@ -1,20 +1,36 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceArea, AreaChart, Area, BarChart, Bar, Legend, ComposedChart } from 'recharts';
-import { Settings, Info, TrendingUp, AlertTriangle, CheckCircle, RefreshCw, ChevronDown, ChevronUp, Wallet, PieChart, ShieldCheck, Clock, ShoppingBag, Landmark, Layers, Table as TableIcon } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceArea, ReferenceLine, AreaChart, Area, BarChart, Bar, Legend, ComposedChart } from 'recharts';
+import { Settings, Info, TrendingUp, AlertTriangle, CheckCircle, RefreshCw, ChevronDown, ChevronUp, Wallet, PieChart, ShieldCheck, Clock, ShoppingBag, Landmark, Layers, CalendarDays, Bookmark, Pin, Download, Printer, SlidersHorizontal, Crosshair, TrendingDown, Scissors, Zap, Table as TableIcon } from 'lucide-react';
+import useSimulation, { simulateOnce } from './hooks/useSimulation.js';
+import useScenarios, { MAX_PINNED } from './hooks/useScenarios.js';
+import useComparison from './hooks/useComparison.js';
+import useSensitivity from './hooks/useSensitivity.js';
+import useGoalSeek from './hooks/useGoalSeek.js';
+import { randomSeed } from './engine/random.js';
+import { RETURN_MODELS, INFLATION_MODELS, MIN_DEGREES_OF_FREEDOM, isHistoricalModel, describeReturnModel, historicalStats, correlationFactor } from './engine/returns.js';
+import { baseAllocation } from './engine/portfolio.js';
+import { WITHDRAWAL_STRATEGIES, vpwRate } from './engine/withdrawalStrategies.js';
+import { WITHDRAWAL_ORDERS, ROTH_CONVERSION_MODES } from './engine/withdrawalOrder.js';
+import { MANDATORY_WITHDRAWAL_SCHEDULES } from './engine/mandatoryWithdrawals.js';
+import { LIFE_EVENT_TYPES, newLifeEvent, isEventActive, eventAmount } from './engine/lifeEvents.js';
+import { CONTRIBUTION_MODES, salaryAt } from './engine/contributions.js';
+import { INCOME_STREAM_RULES, INCOME_STREAM_PRESETS, streamRule, streamAmount, startAgeOptions } from './engine/incomeStreams.js';
+import { TAX_SYSTEMS, TAX_PRESETS, taxSystem, bracketsValid } from './engine/tax.js';
+import { householdAges } from './engine/household.js';
+import { LONGEVITY_MODELS, SEXES, HEALTH_ADJUSTMENTS, deathAgeQuantile } from './engine/mortality.js';
+import { DEFAULT_SPENDING_PHASES, spendingPhaseAt, healthcareCostAt } from './engine/spending.js';
+import { explorePath } from './engine/simulation.js';
+import { STRESS_TYPES, HISTORICAL_CRASHES, MAX_STRESS_TESTS, newStressTest, stressPresets, stressAges } from './engine/stress.js';
+import { SENSITIVITY_STEPS } from './engine/sensitivity.js';
+import { SUCCESS_DEFINITIONS, BAND_PERCENTILES, DRAWDOWN_YEARS } from './engine/outcomes.js';
+import { GOAL_SEEK_TARGETS, goalSeekTargets } from './engine/goalSeek.js';
+import { yearlyBreakdownCsv, percentilesCsv, pathTotalsCsv } from './engine/exportCsv.js';
+import { SCHEMA_VERSION, validateScenario, readSearchParams, writeSearchParams, readScenarioFile, writeScenarioFile } from './engine/scenarioSchema.js';
 
 /**
  * UTILITIES
  */
 
-// Box-Muller transform for normal distribution
-const generateGaussian = (mean, stdDev) => {
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-  return mean + z * stdDev;
-};
-
 // Currency formatter
 const formatCurrency = (value) => {
   return new Intl.NumberFormat('en-US', {
@@ -34,6 +50,15 @@ const formatFullCurrency = (value) => {
   }).format(value);
 };
 
+// Save text as a file through a temporary download link
+const downloadFile = (filename, text, type) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], { type }));
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
 // Axis formatter for millions
 const formatAxis = (value) => {
   if (value >= 1000000) return `$${(value / 1000000).toFixed(1)}m`;
@@ -110,6 +135,418 @@ const InputGroup = ({ label, value, onChange, min, max, step, unit = '', tooltip
   );
 };
 
+const SelectGroup = ({ label, value, onChange, options, tooltip }) => (
+  <div className="mb-2 flex items-center justify-between">
+    <label className="text-xs font-medium text-slate-700 flex items-center gap-1 shrink-0 mr-2">
+      {label}
+      {tooltip && (
+        <div className="group relative">
+          <Info size={12} className="text-slate-400 cursor-help" />
+          <div className="absolute left-0 bottom-full mb-2 w-48 bg-slate-800 text-white text-xs rounded p-2 hidden group-hover:block z-10 shadow-lg">
+            {tooltip}
+          </div>
+        </div>
+      )}
+    </label>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="block w-40 shrink-0 rounded-md border border-slate-300 py-1 px-2 focus:border-indigo-500 focus:ring-indigo-500 text-xs bg-white text-slate-900 shadow-sm font-medium"
+    >
+      {options.map(({ id, label: optionLabel }) => (
+        <option key={id} value={id}>{optionLabel}</option>
+      ))}
+    </select>
+  </div>
+);
+
+const ToggleGroup = ({ label, checked, onChange, tooltip }) => (
+  <div className="mb-2 flex items-center justify-between">
+    <label className="text-xs font-medium text-slate-700 flex items-center gap-1 shrink-0 mr-2">
+      {label}
+      {tooltip && (
+        <div className="group relative">
+          <Info size={12} className="text-slate-400 cursor-help" />
+          <div className="absolute left-0 bottom-full mb-2 w-48 bg-slate-800 text-white text-xs rounded p-2 hidden group-hover:block z-10 shadow-lg">
+            {tooltip}
+          </div>
+        </div>
+      )}
+    </label>
+    <button
+      type="button"
+      role="switch"
+      aria-checked={checked}
+      onClick={() => onChange(!checked)}
+      className={`relative inline-flex h-4 w-7 shrink-0 rounded-full transition-colors ${checked ? 'bg-indigo-600' : 'bg-slate-300'}`}
+    >
+      <span className={`absolute top-0.5 h-3 w-3 rounded-full bg-white shadow transition-transform ${checked ? 'translate-x-3.5' : 'translate-x-0.5'}`}></span>
+    </button>
+  </div>
+);
+
+// Stocks/Bonds inputs for one account; cash is the remainder
+const AllocationInputs = ({ params, account, prefix, onChange }) => {
+  const { cash } = baseAllocation(params, account);
+  return (
+    <>
+      <div className="h-px bg-slate-200 my-2"></div>
+      <InputGroup
+        label="Stocks"
+        value={params[`${prefix}Stocks`]}
+        min={0} max={100} step={5} unit="%"
+        onChange={(v) => onChange(`${prefix}Stocks`, v)}
+      />
+      <InputGroup
+        label="Bonds"
+        value={params[`${prefix}Bonds`]}
+        min={0} max={100} step={5} unit="%"
+        onChange={(v) => onChange(`${prefix}Bonds`, v)}
+      />
+      <div className="text-[10px] text-slate-400 text-right">Cash: {cash}% · rebalanced yearly</div>
+    </>
+  );
+};
+
+// Editable { from, rate } rows of a tax bracket table
+const BracketTable = ({ label, brackets, onChange }) => {
+  const updateRow = (index, key, value) => {
+    onChange(brackets.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+  };
+  const addRow = () => {
+    const last = brackets[brackets.length - 1];
+    onChange([...brackets, last ? { from: last.from + 50000, rate: last.rate } : { from: 0, rate: 0 }]);
+  };
+
+  return (
+    <div className="mb-3">
+      <div className="flex items-center justify-between text-[10px] font-semibold text-slate-400 uppercase tracking-wide mb-1">
+        <span>{label}</span>
+        <button onClick={addRow} className="text-indigo-600 hover:text-indigo-800 normal-case">+ Bracket</button>
+      </div>
+      {brackets.map((row, index) => (
+        <div key={index} className="flex items-center gap-1 mb-1">
+          <span className="text-[10px] text-slate-400 w-8 shrink-0">from $</span>
+          <input
+            type="number"
+            min={0} step={1000}
+            value={row.from}
+            onChange={(e) => updateRow(index, 'from', Number(e.target.value) || 0)}
+            className="flex-1 min-w-0 rounded border border-slate-300 py-0.5 px-1 text-xs text-right bg-white"
+          />
+          <input
+            type="number"
+            min={0} max={100} step={0.5}
+            value={row.rate}
+            onChange={(e) => updateRow(index, 'rate', Number(e.target.value) || 0)}
+            className="w-14 rounded border border-slate-300 py-0.5 px-1 text-xs text-right bg-white"
+          />
+          <span className="text-[10px] text-slate-400">%</span>
+          <button
+            onClick={() => onChange(brackets.filter((_, i) => i !== index))}
+            className="text-slate-300 hover:text-red-500 text-xs px-1"
+            title="Remove bracket"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      {!bracketsValid(brackets) && (
+        <div className="text-[10px] text-amber-700">Thresholds must increase from row to row.</div>
+      )}
+    </div>
+  );
+};
+
+// Editable spending phases: label, age range and % of discretionary spending
+const SpendingPhaseTable = ({ phases, onChange }) => {
+  const updateRow = (index, key, value) => {
+    onChange(phases.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+  };
+  const addRow = () => {
+    const last = phases[phases.length - 1];
+    const startAge = last ? last.endAge + 1 : 65;
+    onChange([...phases, { label: 'Phase', startAge, endAge: startAge + 9, multiplier: 100 }]);
+  };
+
+  return (
+    <div className="mb-3">
+      <div className="flex items-center justify-between text-[10px] font-semibold text-slate-400 uppercase tracking-wide mb-1">
+        <span>Phase · Ages · Discretionary</span>
+        <button onClick={addRow} className="text-indigo-600 hover:text-indigo-800 normal-case">+ Phase</button>
+      </div>
+      {phases.map((row, index) => (
+        <div key={index} className="flex items-center gap-1 mb-1">
+          <input
+            type="text"
+            value={row.label}
+            onChange={(e) => updateRow(index, 'label', e.target.value)}
+            className="flex-1 min-w-0 rounded border border-slate-300 py-0.5 px-1 text-xs bg-white"
+          />
+          <input
+            type="number"
+            min={18} max={120} step={1}
+            value={row.startAge}
+            onChange={(e) => updateRow(index, 'startAge', Number(e.target.value) || 0)}
+            className="w-11 rounded border border-slate-300 py-0.5 px-1 text-xs text-right bg-white"
+          />
+          <span className="text-[10px] text-slate-400">–</span>
+          <input
+            type="number"
+            min={row.startAge} max={120} step={1}
+            value={row.endAge}
+            onChange={(e) => updateRow(index, 'endAge', Number(e.target.value) || 0)}
+            className="w-11 rounded border border-slate-300 py-0.5 px-1 text-xs text-right bg-white"
+          />
+          <input
+            type="number"
+            min={0} max={300} step={5}
+            value={row.multiplier}
+            onChange={(e) => updateRow(index, 'multiplier', Number(e.target.value) || 0)}
+            className="w-12 rounded border border-slate-300 py-0.5 px-1 text-xs text-right bg-white"
+          />
+          <span className="text-[10px] text-slate-400">%</span>
+          <button
+            onClick={() => onChange(phases.filter((_, i) => i !== index))}
+            className="text-slate-300 hover:text-red-500 text-xs px-1"
+            title="Remove phase"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <div className="text-[10px] text-slate-400">Ages outside every phase keep 100%.</div>
+    </div>
+  );
+};
+
+// Yearly contribution to one account: dollars, or % of salary in salary mode
+const ContributionInput = ({ params, fixedKey, pctKey, onChange }) => (
+  params.contributionMode === 'salary' ? (
+    <InputGroup
+      label="Contribution"
+      tooltip={`${formatCurrency(params.salary * (params[pctKey] / 100))} in the first year`}
+      value={params[pctKey]}
+      min={0} max={100} step={0.5} unit="%"
+      onChange={(v) => onChange(pctKey, v)}
+    />
+  ) : (
+    <InputGroup
+      label="Annual Contrib."
+      value={params[fixedKey]}
+      min={0} max={100000} step={500} unit="$"
+      onChange={(v) => onChange(fixedKey, v)}
+    />
+  )
+);
+
+const MEMBER_OPTIONS = [
+  { id: 'primary', label: 'You' },
+  { id: 'partner', label: 'Partner' },
+];
+
+// One editable fixed-income stream, with the start-age trade-off when it has a rule
+const IncomeStreamEditor = ({ stream, household, onChange, onRemove }) => {
+  const update = (key, value) => onChange({ ...stream, [key]: value });
+  const rule = streamRule(stream);
+  return (
+    <div className="bg-slate-50 rounded-lg p-3 border border-slate-100 mb-3">
+      <div className="flex items-center gap-2 mb-2">
+        <input
+          type="text"
+          value={stream.label}
+          onChange={(e) => update('label', e.target.value)}
+          className="flex-1 min-w-0 rounded-md border border-slate-300 py-1 px-2 text-xs font-semibold bg-white text-slate-900"
+        />
+        <button onClick={onRemove} className="text-slate-300 hover:text-red-500 text-sm px-1" title="Remove stream">×</button>
+      </div>
+      {household && (
+        <>
+          <SelectGroup
+            label="Owner"
+            tooltip="Start and end ages are the owner's."
+            value={stream.owner ?? 'primary'}
+            options={MEMBER_OPTIONS}
+            onChange={(v) => update('owner', v)}
+          />
+          <InputGroup
+            label="Survivor Benefit"
+            tooltip="Share still paid to the survivor after the owner dies."
+            value={stream.survivorPercent ?? 0}
+            min={0} max={100} step={5} unit="%"
+            onChange={(v) => update('survivorPercent', v)}
+          />
+        </>
+      )}
+      <SelectGroup
+        label="Start Rule"
+        tooltip="Government benefits grow when started later and shrink when started earlier."
+        value={stream.rule}
+        options={INCOME_STREAM_RULES}
+        onChange={(v) => update('rule', v)}
+      />
+      <InputGroup
+        label={rule.referenceAge ? `Amount at ${rule.referenceAge}` : 'Annual Amount'}
+        value={stream.amount}
+        min={0} max={200000} step={500} unit="$"
+        onChange={(v) => update('amount', v)}
+      />
+      <InputGroup
+        label="Start Age"
+        value={stream.startAge}
+        min={rule.minAge ?? 18} max={rule.maxAge ?? 110} step={1} unit=" yrs"
+        onChange={(v) => update('startAge', v)}
+      />
+      <InputGroup
+        label="End Age"
+        tooltip="Last age paid; use a high age for life."
+        value={stream.endAge}
+        min={stream.startAge} max={120} step={1} unit=" yrs"
+        onChange={(v) => update('endAge', v)}
+      />
+      <InputGroup
+        label="Taxable Share"
+        value={stream.taxablePercent}
+        min={0} max={100} step={5} unit="%"
+        onChange={(v) => update('taxablePercent', v)}
+      />
+      <ToggleGroup
+        label="Indexed (COLA)"
+        tooltip="Off: the payment is frozen in dollars from the first payment and loses purchasing power every year."
+        checked={stream.indexed}
+        onChange={(v) => update('indexed', v)}
+      />
+      {rule.referenceAge && (
+        <div className="mt-1">
+          <div className="text-[10px] text-slate-400 mb-1">Yearly amount by start age (today's $):</div>
+          <div className="flex flex-wrap gap-1">
+            {startAgeOptions(stream).map((age) => (
+              <button
+                key={age}
+                onClick={() => update('startAge', age)}
+                className={`text-[10px] px-1.5 py-0.5 rounded border ${
+                  age === stream.startAge
+                    ? 'bg-indigo-600 text-white border-indigo-600'
+                    : 'bg-white text-slate-600 border-slate-200 hover:border-indigo-300'
+                }`}
+              >
+                {age}: {formatAxis(streamAmount(stream, age))}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ACCOUNT_OPTIONS = [
+  { id: 'taxable', label: 'Taxable' },
+  { id: 'pretax', label: 'Pre-Tax' },
+  { id: 'roth', label: 'Post-Tax' },
+];
+
+// One editable life event
+const LifeEventEditor = ({ event, onChange, onRemove }) => {
+  const update = (key, value) => onChange({ ...event, [key]: value });
+  return (
+    <div className="bg-slate-50 rounded-lg p-3 border border-slate-100 mb-3">
+      <div className="flex items-center gap-2 mb-2">
+        <input
+          type="text"
+          value={event.label}
+          onChange={(e) => update('label', e.target.value)}
+          className="flex-1 min-w-0 rounded-md border border-slate-300 py-1 px-2 text-xs font-semibold bg-white text-slate-900"
+        />
+        <button onClick={onRemove} className="text-slate-300 hover:text-red-500 text-sm px-1" title="Remove event">×</button>
+      </div>
+      <SelectGroup label="Type" value={event.type} options={LIFE_EVENT_TYPES} onChange={(v) => update('type', v)} />
+      <InputGroup
+        label={event.type === 'recurring' ? 'From Age' : 'Age'}
+        value={event.age}
+        min={18} max={110} step={1} unit=" yrs"
+        onChange={(v) => update('age', v)}
+      />
+      {event.type === 'recurring' && (
+        <InputGroup
+          label="To Age"
+          value={event.endAge}
+          min={event.age} max={110} step={1} unit=" yrs"
+          onChange={(v) => update('endAge', v)}
+        />
+      )}
+      <InputGroup
+        label={event.type === 'recurring' ? 'Amount / Year' : 'Amount'}
+        value={event.amount}
+        min={0} max={5000000} step={1000} unit="$"
+        onChange={(v) => update('amount', v)}
+      />
+      <SelectGroup
+        label="Account"
+        tooltip={event.type === 'inflow' ? 'Deposited here, untaxed.' : 'Withdrawn from here first (taxed as usual), then by the withdrawal order.'}
+        value={event.account}
+        options={ACCOUNT_OPTIONS}
+        onChange={(v) => update('account', v)}
+      />
+      <ToggleGroup
+        label="Indexed"
+        tooltip="On: the amount is in today's dollars. Off: it's fixed in dollars (e.g. a mortgage payment) and worth less the later it falls."
+        checked={event.indexed}
+        onChange={(v) => update('indexed', v)}
+      />
+    </div>
+  );
+};
+
+// One editable stress test
+const StressTestEditor = ({ stress, onChange, onRemove }) => {
+  const update = (key, value) => onChange({ ...stress, [key]: value });
+  const { to } = stressAges(stress);
+  return (
+    <div className="bg-slate-50 rounded-lg p-3 border border-slate-100 mb-3">
+      <div className="flex items-center gap-2 mb-2">
+        <input
+          type="text"
+          value={stress.label}
+          onChange={(e) => update('label', e.target.value)}
+          className="flex-1 min-w-0 rounded-md border border-slate-300 py-1 px-2 text-xs font-semibold bg-white text-slate-900"
+        />
+        <button onClick={onRemove} className="text-slate-300 hover:text-red-500 text-sm px-1" title="Remove stress test">×</button>
+      </div>
+      <SelectGroup label="Type" value={stress.type} options={STRESS_TYPES} onChange={(v) => update('type', v)} />
+      {stress.type === 'historical' && (
+        <SelectGroup label="Crash" value={stress.crash} options={HISTORICAL_CRASHES} onChange={(v) => update('crash', v)} />
+      )}
+      <InputGroup
+        label="Starting Age"
+        value={stress.startAge}
+        min={18} max={110} step={1} unit=" yrs"
+        onChange={(v) => update('startAge', v)}
+      />
+      {stress.type === 'shock' ? (
+        <InputGroup
+          label="Stock Return"
+          tooltip="Real return of stocks in that one year; bonds and cash draw as usual."
+          value={stress.amount}
+          min={-100} max={100} step={1} unit="%"
+          onChange={(v) => update('amount', v)}
+        />
+      ) : (
+        <InputGroup
+          label="Years"
+          tooltip={stress.type === 'historical' ? 'Years of the crash and what followed it to replay.' : 'Years of 0% real return on every asset.'}
+          value={stress.years}
+          min={1} max={30} step={1} unit=" yrs"
+          onChange={(v) => update('years', v)}
+        />
+      )}
+      {stress.type !== 'shock' && (
+        <div className="text-[10px] text-slate-400">Forced from age {stress.startAge} to {to}.</div>
+      )}
+    </div>
+  );
+};
+
 const KPICard = ({ title, value, subtext, icon: Icon, colorClass }) => (
   <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-100 flex items-start gap-4">
     <div className={`p-3 rounded-lg ${colorClass} bg-opacity-10`}>
@@ -143,9 +580,26 @@ const DEFAULT_PARAMS = {
   currentAge: 35,
   retirementAge: 65,
   lifeExpectancy: 90,
+  longevityModel: 'fixed',    // See LONGEVITY_MODELS; 'mortality' draws each path's age at death
+  sex: 'female',              // Mortality table to use
+  health: 'average',          // See HEALTH_ADJUSTMENTS
+
+  // Household (see household.js): a partner with their own ages and accounts
+  household: false,
+  partnerCurrentAge: 33,
+  partnerRetirementAge: 65,
+  partnerLifeExpectancy: 92,
+  partnerSex: 'male',
+  partnerHealth: 'average',
+  partnerPreTaxBalance: 100000,
+  partnerPreTaxContribution: 15000,
+  partnerRothBalance: 50000,
+  partnerRothContribution: 7000,
+  survivorSpendingRatio: 70,  // % of spending kept after the first death
 
   // Portfolio Splits
   taxableBalance: 300000,
+  taxableCostBasis: 200000, // What was paid in; only the gain above it is taxed
   taxableContribution: 50000,
 
   preTaxBalance: 200000, // 401k
@@ -153,58 +607,341 @@ const DEFAULT_PARAMS = {
 
   rothBalance: 100000,
   rothContribution: 7000,
+  contributionsIndexed: true, // Contributions rise with inflation
+
+  // Contribution Growth & Caps (see contributions.js)
+  contributionMode: 'fixed',  // 'fixed' amounts above, or '% of salary' below
+  contributionGrowth: 0,      // Fixed mode: real growth per year (%)
+  salary: 100000,             // Salary mode: today's salary
+  salaryGrowth: 1,            // Real raise per year (%)
+  taxableContributionPct: 10,
+  preTaxContributionPct: 10,
+  rothContributionPct: 5,
+  contributionCaps: false,    // Limit Pre-Tax / Roth; the excess goes to Taxable
+  preTaxContributionCap: 23000,
+  rothContributionCap: 7000,
+  contributionCapsIndexed: true, // Caps rise with inflation
+
+  // Asset Allocation (% stocks / % bonds per account, cash is the rest)
+  taxableStocks: 100,
+  taxableBonds: 0,
+  preTaxStocks: 100,
+  preTaxBonds: 0,
+  rothStocks: 100,
+  rothBonds: 0,
+  glidePath: false,     // Shift stocks into bonds with age
+  glidePathStartAge: 55,
+  glidePathEndAge: 75,
+  glidePathShift: 30,   // Percentage points moved from stocks to bonds
 
   // Spending (Dynamic)
   minSpending: 40000,          // Non-negotiable
   discretionarySpending: 20000, // Travels, etc.
-
-  // Fixed Income (New)
-  fixedIncomeAnnual: 0,        // Pension, CPP, OAS, etc.
-  fixedIncomeStartAge: 65,     // Age it begins
+  spendingIndexed: true,        // Spending targets rise with inflation
+
+  // Spending Phases & Healthcare (see spending.js)
+  spendingPhases: false,        // Scale discretionary spending by age
+  spendingPhaseRanges: DEFAULT_SPENDING_PHASES,
+  healthcareCosts: false,       // Separate healthcare line per person
+  healthcareCost: 6000,         // Per person per year at 65
+  healthcareCostGrowth: 3,      // Real increase per year of age (%); healthcare and care are always indexed
+  longTermCare: false,          // Random long-term care need
+  ltcStartAge: 75,
+  ltcAnnualRisk: 2,             // Yearly chance of needing care from ltcStartAge (%)
+  ltcAnnualCost: 100000,
+  ltcDuration: 3,               // Years of care
+
+  // Withdrawal Strategy (see WITHDRAWAL_STRATEGIES)
+  withdrawalStrategy: 'dynamic',
+  withdrawalRate: 4,          // Fixed %: share of the portfolio each year
+  guardrailInitialRate: 5,    // Guardrails: starting withdrawal rate
+  guardrailBand: 20,          // Guardrails: +/- % drift before adjusting
+  guardrailAdjustment: 10,    // Guardrails: size of each cut/raise
+  vpwReturn: 3.5,             // VPW: assumed real portfolio return
+  vpwEndAge: 100,             // VPW: age the balance is planned to last to
+
+  // Withdrawal Order & Roth Conversions
+  withdrawalOrder: 'taxableFirst', // See WITHDRAWAL_ORDERS
+  lowBracketCeiling: 50000,        // Fill-bracket order: taxable income filled from Pre-Tax first
+  rothConversion: 'none',          // 'none', 'fixed', 'bracket'
+  rothConversionStartAge: 60,
+  rothConversionEndAge: 70,
+  rothConversionAmount: 20000,     // Fixed: converted each year
+  rothConversionCeiling: 50000,    // Bracket: convert until taxable income reaches this
+
+  // Mandatory Withdrawals (RMD / RRIF) from Pre-Tax
+  mandatoryWithdrawals: 'none',    // Off by default; see MANDATORY_WITHDRAWAL_SCHEDULES
+  mandatoryWithdrawalStartAge: 73,
+
+  // Fixed Income: pensions, CPP, OAS, Social Security... (see incomeStreams.js)
+  incomeStreams: [],
+
+  // Bridge Income: part-time work from retirementAge until bridgeEndAge
+  bridgeIncome: 0,
+  bridgeEndAge: 70,
+  bridgeIncomeIndexed: true, // Pay rises with inflation
+
+  // Life Events (see lifeEvents.js for the shape)
+  lifeEvents: [],
+
+  // Stress Tests (see stress.js): market sequences forced onto every path, each run alongside
+  stressTests: [],
 
   // Market
+  returnModel: 'gaussian', // See RETURN_MODELS
   expectedReturn: 4.5, // Changed default to reflect Real Return
   volatility: 15.0,
-  // Inflation removed from state
+  degreesOfFreedom: 5, // Student-t tail weight (lower = fatter tails)
+  bullReturn: 8,       // Regime model: mean real return in bull markets
+  bullVolatility: 12,
+  bullDuration: 6,     // Average years a bull market lasts
+  bearReturn: -6,
+  bearVolatility: 20,
+  bearDuration: 2,
+  meanReversion: false,
+  meanReversionStrength: 20, // % of last year's deviation reversed
+  blockLength: 5,      // Years per block (block bootstrap only)
+  bondReturn: 1.5,     // Real, like expectedReturn (which drives stocks)
+  bondVolatility: 6,
+  cashReturn: 0.5,
+  cashVolatility: 2,
+  stockBondCorrelation: 0.1,
+  stockCashCorrelation: 0,
+  bondCashCorrelation: 0.3,
+
+  // Inflation (all inputs are in today's dollars)
+  inflationModel: 'fixed',     // See INFLATION_MODELS
+  inflationRate: 2.5,
+  inflationVolatility: 1.5,    // Stochastic only
+  stockInflationCorrelation: -0.1,
+
+  // Taxes (bracket tables are editable; picking a system reloads its preset)
+  taxSystem: 'us',                 // See TAX_SYSTEMS
+  ...TAX_PRESETS.us,               // taxBrackets, regionalTaxBrackets, capitalGainsBrackets
+  capitalGainsInclusion: 50,       // Inclusion systems: share of a gain that is taxed
+  taxBracketsIndexed: true,        // Thresholds rise with inflation
+
+  // Outcome Measures (see outcomes.js)
+  successDefinition: 'preserveCapital', // See SUCCESS_DEFINITIONS
+  legacyTarget: 500000,       // 'legacyTarget' success: wealth to leave at death
+  bandPercentile: 20,         // Wealth bands show this percentile and its mirror; Safe Until uses the low one
+
+  // Simulation
+  seed: 1,            // Same params + same seed = same results
+  simulations: 1000,  // Number of Monte Carlo paths
+};
 
-  // Taxes
-  incomeTaxRate: 30,
-  capitalGainsInclusion: 50,
+// Stacked series for the Median Portfolio Composition chart
+const COMPOSITION_SERIES = {
+  accounts: [
+    { key: 'taxable', label: 'Taxable', color: '#6366f1' },
+    { key: 'pretax', label: 'Pre-Tax', color: '#10b981' },
+    { key: 'roth', label: 'Post-Tax', color: '#fb923c' },
+  ],
+  assets: [
+    { key: 'stocks', label: 'Stocks', color: '#6366f1' },
+    { key: 'bonds', label: 'Bonds', color: '#0ea5e9' },
+    { key: 'cash', label: 'Cash', color: '#94a3b8' },
+  ],
 };
 
-export default function App() {
-  // --- STATE ---
-  const [params, setParams] = useState(() => {
-    // Initialize state from URL query parameters if they exist
-    if (typeof window !== 'undefined') {
-      const searchParams = new URLSearchParams(window.location.search);
-      const initialParams = { ...DEFAULT_PARAMS };
-
-      let hasUrlParams = false;
-      Object.keys(DEFAULT_PARAMS).forEach(key => {
-        const val = searchParams.get(key);
-        if (val !== null) {
-          initialParams[key] = parseFloat(val);
-          hasUrlParams = true;
-        }
-      });
-
-      return initialParams;
-    }
-    return DEFAULT_PARAMS;
+// Input summary for the printed report: [label, value] pairs
+const reportSummary = (params) => {
+  const assets = params.taxableBalance + params.preTaxBalance + params.rothBalance
+    + (params.household ? params.partnerPreTaxBalance + params.partnerRothBalance : 0);
+  const lifespan = params.longevityModel === 'mortality' ? 'mortality table' : params.lifeExpectancy;
+  const income = params.incomeStreams.reduce((sum, stream) => sum + streamAmount(stream), 0);
+  return [
+    ['Ages', `${params.currentAge} now, retire at ${params.retirementAge}, plan to ${lifespan}`],
+    ['Household', params.household
+      ? `Couple (partner ${params.partnerCurrentAge}, retires at ${params.partnerRetirementAge}, survivor spends ${params.survivorSpendingRatio}%)`
+      : 'Single'],
+    ['Net worth', formatFullCurrency(assets)],
+    ['Yearly contributions', params.contributionMode === 'salary'
+      ? `${params.taxableContributionPct + params.preTaxContributionPct + params.rothContributionPct}% of ${formatFullCurrency(params.salary)}`
+      : formatFullCurrency(params.taxableContribution + params.preTaxContribution + params.rothContribution)],
+    ['Spending', `${formatFullCurrency(params.minSpending)} essential + ${formatFullCurrency(params.discretionarySpending)} discretionary`],
+    ['Fixed income', income > 0 ? `${formatFullCurrency(income)} / yr (${params.incomeStreams.length} stream${params.incomeStreams.length > 1 ? 's' : ''})` : 'None'],
+    ['Withdrawal strategy', WITHDRAWAL_STRATEGIES.find(s => s.id === params.withdrawalStrategy)?.label],
+    ['Withdrawal order', WITHDRAWAL_ORDERS.find(o => o.id === params.withdrawalOrder)?.label],
+    ['Success means', SUCCESS_DEFINITIONS.find(d => d.id === params.successDefinition)?.label
+      + (params.successDefinition === 'legacyTarget' ? ` (${formatFullCurrency(params.legacyTarget)})` : '')],
+    ['Returns', describeReturnModel(params)],
+    ['Inflation', params.inflationModel === 'stochastic' ? `${params.inflationRate}% ± ${params.inflationVolatility}%` : `${params.inflationRate}%`],
+    ['Taxes', taxSystem(params).label],
+    ['Simulation', `${params.simulations.toLocaleString('en-US')} paths, seed ${params.seed}`],
+  ];
+};
+
+// Path counts offered in the Simulation section
+const SIMULATION_COUNTS = [1000, 10000, 50000];
+
+// Line colors for pinned scenarios on the Wealth Probability chart
+const SCENARIO_COLORS = ['#8b5cf6', '#f59e0b', '#0ea5e9', '#ec4899'];
+
+// Stress-test overlay colours (MAX_STRESS_TESTS of them)
+const STRESS_COLORS = ['#dc2626', '#b45309', '#be185d', '#475569'];
+
+// What the success probability counts, for the KPI card
+const successSubtext = (params) => {
+  const who = params.household ? 'the household' : 'you';
+  switch (params.successDefinition) {
+    case 'neverDepleted': return `Chance ${who} never run${params.household ? 's' : ''} out of money`;
+    case 'legacyTarget': return `Chance to leave at least ${formatCurrency(params.legacyTarget)}`;
+    case 'noCuts': return 'Chance spending never drops below Min Spending';
+    default: return params.household ? 'Chance the household preserves capital' : 'Chance to preserve capital';
+  }
+};
+
+// A goal-seek answer in the input's own units
+const formatGoalValue = (field, value) => {
+  const { kind } = GOAL_SEEK_TARGETS.find(t => t.id === field);
+  if (kind === 'money') return formatFullCurrency(value);
+  if (kind === 'percent') return `${value}%`;
+  return `${value}`;
+};
+
+// Outcomes the sensitivity tornado can rank inputs by
+const SENSITIVITY_METRICS = [
+  { id: 'success', label: 'Success', delta: 'successDelta' },
+  { id: 'legacy', label: 'Median Legacy', delta: 'legacyDelta' },
+];
+
+// Bars shown in the tornado
+const TORNADO_ROWS = 12;
+
+const formatSensitivity = (metric, value) => {
+  const sign = value > 0 ? '+' : value < 0 ? '−' : '';
+  return metric === 'success' ? `${sign}${Math.abs(value).toFixed(1)} pts` : `${sign}${formatCurrency(Math.abs(value))}`;
+};
+
+// Inputs that moved the metric, largest effect first
+const tornadoData = (sensitivity, metric) => {
+  const { delta } = SENSITIVITY_METRICS.find(m => m.id === metric);
+  return sensitivity.inputs
+    .map(input => ({
+      label: input.label,
+      down: input.down ? input.down[delta] : 0,
+      up: input.up ? input.up[delta] : 0,
+      downMove: input.down,
+      upMove: input.up,
+    }))
+    .filter(row => row.down !== 0 || row.up !== 0)
+    .sort((a, b) => Math.max(Math.abs(b.down), Math.abs(b.up)) - Math.max(Math.abs(a.down), Math.abs(a.up)))
+    .slice(0, TORNADO_ROWS);
+};
+
+// Path explorer: ranks are percentiles of final wealth (0 = the worst path),
+// fractional so any single path can be picked
+const MEDIAN_RANK = 50;
+const PATH_RANKS = [
+  { rank: 0, label: 'Worst' },
+  { rank: 5, label: 'P5' },
+  { rank: 25, label: 'P25' },
+  { rank: MEDIAN_RANK, label: 'Median' },
+  { rank: 75, label: 'P75' },
+  { rank: 95, label: 'P95' },
+  { rank: 100, label: 'Best' },
+];
+
+const ordinal = (n) => {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  return `${n}${teen ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+};
+
+// Position (0 = worst) in a ranking of `count` paths of the path at `rank`
+const pathPosition = (count, rank) => Math.min(count - 1, Math.floor((count * rank) / 100));
+
+// Rank that picks the path at `position` (0 = worst) out of `count`
+const positionRank = (count, position) => ((position + 0.5) / count) * 100;
+
+// Whole percentiles are named as such; anything else by its place from the bottom
+const pathRankLabel = (rank, position) => {
+  if (rank === MEDIAN_RANK) return 'Median';
+  if (rank === 0) return 'Worst';
+  if (rank === 100) return 'Best';
+  if (Number.isInteger(rank)) return `${ordinal(rank)} Percentile`;
+  return `${ordinal(position + 1)} Worst`;
+};
+
+// Bands with the spaghetti sample (path0, path1, ...) and the explored path's total added by age
+const withPaths = (bands, samples, explored, dollarView, firstAge) => {
+  const rows = new Map(bands.map(row => [row.age, { ...row }]));
+  const set = (age, key, value) => {
+    if (!rows.has(age)) rows.set(age, { age });
+    rows.get(age)[key] = value;
+  };
+  samples.forEach((sample, index) => {
+    (dollarView === 'nominal' ? sample.nominalTotal : sample.total).forEach((value, i) => set(firstAge + i, `path${index}`, value));
   });
+  explored.forEach(row => set(row.age, 'explored', row.total));
+  return [...rows.values()].sort((a, b) => a.age - b.age);
+};
 
-  const [results, setResults] = useState(null);
-  const [isSimulating, setIsSimulating] = useState(false);
+// Wealth bands with each compared scenario's median and low band (e.g. p20)
+// added by age, as `${prefix}${index}p50` and `${prefix}${index}low`
+const withComparison = (bands, compared, dollarView, lowBand, prefix = 'scenario') => {
+  const rows = new Map(bands.map(row => [row.age, { ...row }]));
+  compared.forEach((scenario, index) => {
+    if (!scenario.results) return;
+    const data = dollarView === 'nominal' ? scenario.results.nominalProbabilityData : scenario.results.probabilityData;
+    data.forEach((row) => {
+      if (!rows.has(row.age)) rows.set(row.age, { age: row.age });
+      Object.assign(rows.get(row.age), { [`${prefix}${index}p50`]: row.p50, [`${prefix}${index}low`]: row[lowBand] });
+    });
+  });
+  return [...rows.values()].sort((a, b) => a.age - b.age);
+};
+
+export default function App() {
+  // --- STATE ---
+  // Initialize state from URL query parameters if they exist. Links are
+  // migrated and checked (see scenarioSchema.js); anything rejected or fixed
+  // is listed in a banner.
+  const [loaded] = useState(() => (
+    typeof window !== 'undefined'
+      ? readSearchParams(new URLSearchParams(window.location.search), DEFAULT_PARAMS)
+      : { params: DEFAULT_PARAMS, issues: [] }
+  ));
+  const [params, setParams] = useState(loaded.params);
+  const [scenarioIssues, setScenarioIssues] = useState(loaded.issues);
+
+  const { results, progress, isSimulating, error: simulationError } = useSimulation(params);
+
+  // Saved scenarios; older ones pick up defaults for params added since
+  const scenarios = useScenarios();
+  const [scenarioName, setScenarioName] = useState('');
+  const savedParams = (scenario) => validateScenario(scenario.params, scenario.version ?? SCHEMA_VERSION, DEFAULT_PARAMS);
+  const compared = useComparison(scenarios.pinned.map(s => ({ ...s, params: savedParams(s).params })));
+
+  // Each stress test is its own run of the current inputs. The list itself is
+  // left out of their params so editing one test doesn't rerun the others.
+  const stressBase = useMemo(() => ({ ...params, stressTests: [] }), [params]);
+  const stressed = useComparison(params.stressTests.map((stress, index) => ({
+    id: `stress${index}`, name: stress.label, params: stressBase, stress,
+  })));
 
   // Accordion States
   const [showTimeline, setShowTimeline] = useState(true);
   const [showPortfolio, setShowPortfolio] = useState(true);
   const [showSpending, setShowSpending] = useState(true);
+  const [showEvents, setShowEvents] = useState(false);
+  const [showStress, setShowStress] = useState(false);
+  const [showScenarios, setShowScenarios] = useState(false);
   const [showAdvanced, setShowAdvanced] = useState(true); // Expanded by default
   const [showTable, setShowTable] = useState(false); // Table collapsed by default
 
   const [activeTab, setActiveTab] = useState('taxable'); // 'taxable', 'pretax', 'roth'
+  const [compositionView, setCompositionView] = useState('accounts'); // 'accounts', 'assets'
+  const [dollarView, setDollarView] = useState('real'); // 'real', 'nominal'
+  const [showPaths, setShowPaths] = useState(false); // Spaghetti overlay on the wealth chart
+  const [pathRank, setPathRank] = useState(MEDIAN_RANK); // Path shown in the composition chart and table
+  const [sensitivityStep, setSensitivityStep] = useState(10);
+  const [sensitivityMetric, setSensitivityMetric] = useState('success'); // 'success', 'legacy'
+  const sensitivity = useSensitivity();
+  const [goalField, setGoalField] = useState('retirementAge');
+  const [goalSuccess, setGoalSuccess] = useState(90);
+  const goalSeek = useGoalSeek();
 
   // --- URL SYNC ---
   useEffect(() => {
@@ -217,313 +954,116 @@ export default function App() {
       // If they are default, do not trigger a URL update
       if (isDefault) return;
 
-      const searchParams = new URLSearchParams();
-      Object.entries(params).forEach(([key, value]) => {
-        searchParams.set(key, value);
-      });
-
       // Update URL without reloading page
-      const newUrl = `${window.location.pathname}?${searchParams.toString()}`;
+      const newUrl = `${window.location.pathname}?${writeSearchParams(params).toString()}`;
       window.history.replaceState(null, '', newUrl);
     }
   }, [params]);
 
   // --- LOGIC ---
 
-  const runSimulation = useCallback(() => {
-    setIsSimulating(true);
-
-    setTimeout(() => {
-      const SIMULATIONS = 1000;
-
-      const yearsToSimulate = params.lifeExpectancy - params.currentAge;
-      // Store full breakdown for every run: [{ taxable: [], pretax: [], roth: [], total: [] }]
-      const allRuns = [];
-      const startTotalNetWorth = params.taxableBalance + params.preTaxBalance + params.rothBalance;
-
-      for (let sim = 0; sim < SIMULATIONS; sim++) {
-        // Track balances for this single run
-        const runTaxable = [];
-        const runPreTax = [];
-        const runRoth = [];
-        const runTotal = [];
-        const runSpending = [];
-
-        // Initialize Balances
-        let bTaxable = params.taxableBalance;
-        let bPreTax = params.preTaxBalance;
-        let bRoth = params.rothBalance;
-
-        for (let year = 0; year <= yearsToSimulate; year++) {
-          const age = params.currentAge + year;
-          const isRetired = age >= params.retirementAge;
-
-          // Snapshot previous balance (for Dynamic Spending logic)
-          const startTotal = bTaxable + bPreTax + bRoth;
-
-          // 1. Calculate Real Return (Simplified: Input IS Real Return)
-          const meanRealReturn = params.expectedReturn / 100;
-          const vol = params.volatility / 100;
-          const realReturn = generateGaussian(meanRealReturn, vol);
-
-          // 2. Apply Growth (Simultaneous to all accounts)
-          if (year > 0) {
-             bTaxable *= (1 + realReturn);
-             bPreTax  *= (1 + realReturn);
-             bRoth    *= (1 + realReturn);
-          }
-
-          // 3. Cashflows
-          let actualSpendingForYear = 0;
-
-          if (year > 0) {
-            if (!isRetired) {
-              // --- ACCUMULATION ---
-              bTaxable += params.taxableContribution;
-              bPreTax += params.preTaxContribution;
-              bRoth += params.rothContribution;
-
-            } else {
-              // --- DECUMULATION (Dynamic Spending Logic) ---
-
-              const currentTotal = bTaxable + bPreTax + bRoth;
-              const gain = currentTotal - startTotal; // Real Dollar Gain
-
-              // Base Requirements
-              const baseTarget = params.minSpending + params.discretionarySpending;
-
-              // Fixed Income Logic
-              const currentFixedIncome = (age >= params.fixedIncomeStartAge) ? params.fixedIncomeAnnual : 0;
-
-              // The amount we MUST cover from portfolio (can be negative if pension > spending)
-              const portfolioNeed = baseTarget - currentFixedIncome;
-
-              let actualPortfolioWithdrawal = portfolioNeed;
-              actualSpendingForYear = baseTarget; // Assume full spending initially
-
-              // Check if "Bad Year" ONLY if we actually need to withdraw from portfolio
-              if (portfolioNeed > 0) {
-                 if (gain < portfolioNeed) {
-                    // We rely on portfolio, but it didn't grow enough.
-                    // Calculate shortfall relative to the portfolio need
-                    const shortfall = portfolioNeed - gain;
-
-                    // Allow cutting 100% of discretionary spending if needed
-                    const maxCutAmount = params.discretionarySpending;
-
-                    // We can only cut discretionary spending, even if pension covers essentials
-                    const actualCut = Math.min(shortfall, maxCutAmount);
-
-                    actualPortfolioWithdrawal = portfolioNeed - actualCut;
-                    actualSpendingForYear = baseTarget - actualCut; // Adjust actual spending record
-                 }
-              }
-
-              // --- EXECUTE CASH FLOW ---
-
-              if (actualPortfolioWithdrawal < 0) {
-                 // SURPLUS: Pension > Spending. Reinvest surplus into Taxable Account.
-                 bTaxable += Math.abs(actualPortfolioWithdrawal);
-              } else {
-                  // WITHDRAWAL: Order = Taxable -> PreTax -> Roth
-                  let remainingNetNeed = actualPortfolioWithdrawal;
-
-                  // A. TAXABLE ACCOUNT
-                  if (remainingNetNeed > 0 && bTaxable > 0) {
-                    const inclusionRate = params.capitalGainsInclusion / 100;
-                    const taxRate = params.incomeTaxRate / 100;
-                    const effectiveTaxFactor = 1 - (inclusionRate * taxRate);
-                    const divisor = effectiveTaxFactor <= 0 ? 0.01 : effectiveTaxFactor;
-                    const grossNeeded = remainingNetNeed / divisor;
-
-                    if (bTaxable >= grossNeeded) {
-                      bTaxable -= grossNeeded;
-                      remainingNetNeed = 0;
-                    } else {
-                      const netFromTaxable = bTaxable * divisor;
-                      remainingNetNeed -= netFromTaxable;
-                      bTaxable = 0;
-                    }
-                  }
-
-                  // B. PRE-TAX (401k)
-                  if (remainingNetNeed > 0 && bPreTax > 0) {
-                    const taxRate = params.incomeTaxRate / 100;
-                    const effectiveTaxFactor = 1 - taxRate;
-                    const divisor = effectiveTaxFactor <= 0 ? 0.01 : effectiveTaxFactor;
-                    const grossNeeded = remainingNetNeed / divisor;
-
-                    if (bPreTax >= grossNeeded) {
-                      bPreTax -= grossNeeded;
-                      remainingNetNeed = 0;
-                    } else {
-                      const netFromPreTax = bPreTax * divisor;
-                      remainingNetNeed -= netFromPreTax;
-                      bPreTax = 0;
-                    }
-                  }
-
-                  // C. ROTH
-                  if (remainingNetNeed > 0 && bRoth > 0) {
-                    if (bRoth >= remainingNetNeed) {
-                      bRoth -= remainingNetNeed;
-                      remainingNetNeed = 0;
-                    } else {
-                      remainingNetNeed -= bRoth;
-                      bRoth = 0;
-                    }
-                  }
-              }
-            }
-          }
-
-          // Floor at 0 (should be handled by logic above, but safety check)
-          if (bTaxable < 0) bTaxable = 0;
-          if (bPreTax < 0) bPreTax = 0;
-          if (bRoth < 0) bRoth = 0;
-
-          // Store for path
-          runTaxable.push(bTaxable);
-          runPreTax.push(bPreTax);
-          runRoth.push(bRoth);
-          runTotal.push(bTaxable + bPreTax + bRoth);
-          runSpending.push(actualSpendingForYear); // Store for history
-        }
-        allRuns.push({
-          taxable: runTaxable,
-          pretax: runPreTax,
-          roth: runRoth,
-          total: runTotal,
-          spending: runSpending
-        });
-      }
-
-      // --- 1. Calculate Aggregates (Probability Cone) ---
-      const probabilityData = [];
-      for (let i = 0; i <= yearsToSimulate; i++) {
-         const yearValues = allRuns.map(r => r.total[i]).sort((a,b) => a-b);
-         probabilityData.push({
-            age: params.currentAge + i,
-            p20: yearValues[Math.floor(SIMULATIONS * 0.2)],
-            p50: yearValues[Math.floor(SIMULATIONS * 0.5)],
-            p80: yearValues[Math.floor(SIMULATIONS * 0.8)],
-         });
-      }
-
-      // --- 2. Find the Median Run (for Breakdown Chart) ---
-      // Sort all runs by their FINAL total wealth to find a representative "Median Scenario"
-      allRuns.sort((a, b) => {
-         const lastA = a.total[a.total.length - 1];
-         const lastB = b.total[b.total.length - 1];
-         return lastA - lastB;
-      });
-
-      const medianRunIndex = Math.floor(SIMULATIONS * 0.5);
-      const medianRun = allRuns[medianRunIndex];
-
-      // Build Stacked Data from Median Run
-      const medianData = [];
-      for (let i = 0; i <= yearsToSimulate; i++) {
-         medianData.push({
-            age: params.currentAge + i,
-            taxable: medianRun.taxable[i],
-            pretax: medianRun.pretax[i],
-            roth: medianRun.roth[i],
-            total: medianRun.total[i]
-         });
-      }
-
-      // --- 3. Build Detailed Table Data ---
-      const tableData = [];
-
-      for (let i = 1; i < medianData.length; i++) {
-         const current = medianData[i];
-         const prev = medianData[i-1];
-         const startBalance = prev.total;
-         const endBalance = current.total;
-         const age = current.age;
-
-         const isRetired = age > params.retirementAge;
-
-         // Use recorded spending from the median run
-         const recordedSpending = medianRun.spending[i];
-
-         // Calculate fixed income
-         const fixedIncome = (isRetired && age >= params.fixedIncomeStartAge) ? params.fixedIncomeAnnual : 0;
-
-         // Calculate Net Cashflow relative to portfolio
-         let portfolioCashflow = 0;
-         if (!isRetired) {
-             portfolioCashflow = params.taxableContribution + params.preTaxContribution + params.rothContribution;
-         } else {
-             // Net withdrawal = Spending - Fixed Income
-             // If fixed income > spending, it's a surplus (positive cashflow)
-             portfolioCashflow = -(recordedSpending - fixedIncome);
-         }
-
-         // Derived Growth
-         // End = Start + Growth + Cashflow
-         // Growth = End - Start - Cashflow
-         const growth = endBalance - startBalance - portfolioCashflow;
-         // Return % = Growth / Start
-         const returnPct = startBalance > 0 ? (growth / startBalance) * 100 : 0;
-
-         tableData.push({
-            age,
-            startBalance,
-            endBalance,
-            change: endBalance - startBalance,
-            returnPct,
-            spendingNeed: recordedSpending,
-            fixedIncome,
-            isRetired
-         });
-      }
-
-      // --- 4. Success Criteria & KPIs ---
-      // We calculate success rate based on the P20 line staying above 0 (or original principal if requested, but logic below uses > startTotalNetWorth for success rate, and p20 for survival age)
-
-      const successCount = allRuns.filter(run => run.total[run.total.length - 1] >= startTotalNetWorth).length;
-      const successRate = (successCount / SIMULATIONS) * 100;
-
-      let survivalAge = params.lifeExpectancy;
-      // Using Probability Data P20 for safe age
-      const failYearIndex = probabilityData.findIndex(d => d.p20 <= 0);
-      if (failYearIndex !== -1) {
-        survivalAge = probabilityData[failYearIndex].age;
-      } else {
-        survivalAge = `${params.lifeExpectancy}+`;
-      }
-
-      setResults({
-        probabilityData,
-        medianData,
-        tableData,
-        successRate,
-        medianEndWealth: probabilityData[probabilityData.length - 1].p50,
-        survivalAge
-      });
-      setIsSimulating(false);
-    }, 100);
-  }, [params]);
-
-  useEffect(() => {
-    runSimulation();
-  }, [runSimulation]);
-
   const updateParam = (key, value) => {
     setParams(prev => ({ ...prev, [key]: value }));
   };
 
-  const totalAssets = params.taxableBalance + params.preTaxBalance + params.rothBalance;
+  // Apply a validated scenario and show what was rejected or fixed
+  const loadScenario = ({ params: loadedParams, issues }) => {
+    if (loadedParams) setParams(loadedParams);
+    setScenarioIssues(issues);
+  };
+
+  const exportScenario = () => {
+    const name = scenarioName.trim() || 'scenario';
+    downloadFile(`${name.replace(/[^\w-]+/g, '-').toLowerCase()}.json`, writeScenarioFile(params, name), 'application/json');
+  };
+
+  // Every path's totals aren't kept by the UI, so that export reruns the scenario
+  const [exportingPaths, setExportingPaths] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const exportPathTotals = () => {
+    const exported = results.params;
+    setExportingPaths(true);
+    setExportError(null);
+    simulateOnce(exported, { includePaths: true })
+      .then((full) => downloadFile('path-totals.csv', pathTotalsCsv(full.paths, exported.currentAge), 'text/csv'))
+      .catch((error) => setExportError(error.message || 'The simulation failed'))
+      .finally(() => setExportingPaths(false));
+  };
+
+  const importScenario = (file) => {
+    if (!file) return;
+    file.text()
+      .then((text) => loadScenario(readScenarioFile(text, DEFAULT_PARAMS)))
+      .catch((error) => setScenarioIssues([{ field: 'file', message: `could not be read (${error.message}); nothing was imported` }]));
+  };
+
+  const updateLifeEvent = (index, event) => {
+    updateParam('lifeEvents', params.lifeEvents.map((e, i) => (i === index ? event : e)));
+  };
+
+  const updateStressTest = (index, stress) => {
+    updateParam('stressTests', params.stressTests.map((s, i) => (i === index ? stress : s)));
+  };
+
+  // Switching schedule resets the start age to that schedule's usual one
+  const selectMandatorySchedule = (id) => {
+    const schedule = MANDATORY_WITHDRAWAL_SCHEDULES.find(s => s.id === id);
+    setParams(prev => ({
+      ...prev,
+      mandatoryWithdrawals: id,
+      mandatoryWithdrawalStartAge: schedule.defaultStartAge ?? prev.mandatoryWithdrawalStartAge,
+    }));
+  };
+
+  // Switching tax system loads that system's bracket tables
+  const selectTaxSystem = (id) => {
+    setParams(prev => ({ ...prev, taxSystem: id, ...TAX_PRESETS[id] }));
+  };
+
+  // Columns in the Yearly Breakdown (some only show when their feature is on)
+  const showHealthcare = results && (results.params.healthcareCosts || results.params.longTermCare);
+  const tableColumnCount = results
+    ? 9 + showHealthcare + (results.params.rothConversion !== 'none') + (results.params.mandatoryWithdrawals !== 'none')
+      + results.params.incomeStreams.length + (results.params.bridgeIncome > 0)
+    : 0;
+
+  // The chosen goal-seek input, or the first one in use if it no longer is
+  const goalTargets = goalSeekTargets(params);
+  const goalTarget = goalTargets.find(t => t.id === goalField) || goalTargets[0];
+  const goalResult = goalSeek.results;
+
+  // Path in the composition chart and yearly table: the median, or the path
+  // at `pathRank` replayed from its index
+  const shownPath = useMemo(() => {
+    if (!results) return null;
+    if (pathRank === MEDIAN_RANK) {
+      return { data: results.medianData, nominalData: results.nominalMedianData, tableData: results.tableData };
+    }
+    const { ranking } = results;
+    return explorePath(results.params, results.params.seed, ranking[pathPosition(ranking.length, pathRank)]);
+  }, [results, pathRank]);
+  const pathCount = results ? results.ranking.length : params.simulations;
+  const pathLabel = pathRankLabel(pathRank, pathPosition(pathCount, pathRank));
+
+  // Wealth bands follow the settings the shown results were run with
+  const bandLow = results ? results.params.bandPercentile : params.bandPercentile;
+
+  const tornado = sensitivity.results ? tornadoData(sensitivity.results, sensitivityMetric) : [];
+  const applyMove = (move) => {
+    if (move) setParams(prev => ({ ...prev, ...move.change }));
+  };
+
+  const totalAssets = params.taxableBalance + params.preTaxBalance + params.rothBalance
+    + (params.household ? params.partnerPreTaxBalance + params.partnerRothBalance : 0);
   const targetSpending = params.minSpending + params.discretionarySpending;
+  const totalFixedIncome = params.incomeStreams.reduce((sum, stream) => sum + streamAmount(stream), 0);
   const floorSpending = params.minSpending;
 
   return (
-    <div className="flex flex-col md:flex-row h-screen bg-slate-50 font-sans text-slate-800 overflow-hidden">
+    <div className="flex flex-col md:flex-row h-screen bg-slate-50 font-sans text-slate-800 overflow-hidden print:block print:h-auto print:overflow-visible print:bg-white">
 
       {/* SIDEBAR - INPUTS */}
-      <div className="w-full md:w-96 bg-white border-r border-slate-200 flex flex-col h-full overflow-hidden shadow-lg z-10">
+      <div className="w-full md:w-96 bg-white border-r border-slate-200 flex flex-col h-full overflow-hidden shadow-lg z-10 print:hidden">
         <div className="p-6 border-b border-slate-100 bg-indigo-600 text-white">
           <h1 className="text-xl font-bold flex items-center gap-2">
             <TrendingUp size={24} className="text-indigo-200" />
@@ -558,12 +1098,78 @@ export default function App() {
                     min={params.currentAge + 1} max={100} step={1} unit=" yrs"
                     onChange={(v) => updateParam('retirementAge', v)}
                     />
-                    <InputGroup
-                    label="Life Expectancy"
-                    value={params.lifeExpectancy}
-                    min={params.retirementAge + 1} max={110} step={1} unit=" yrs"
-                    onChange={(v) => updateParam('lifeExpectancy', v)}
+                    <SelectGroup
+                    label="Lifespan"
+                    tooltip="Mortality table: every path draws its own age at death, and success is measured at that age."
+                    value={params.longevityModel}
+                    options={LONGEVITY_MODELS}
+                    onChange={(v) => updateParam('longevityModel', v)}
+                    />
+                    {params.longevityModel === 'mortality' ? (
+                      <>
+                        <SelectGroup label="Sex" value={params.sex} options={SEXES} onChange={(v) => updateParam('sex', v)} />
+                        <SelectGroup
+                        label="Health"
+                        tooltip="Scales the table's yearly chance of dying (Excellent 0.6x to Poor 1.5x)."
+                        value={params.health}
+                        options={HEALTH_ADJUSTMENTS}
+                        onChange={(v) => updateParam('health', v)}
+                        />
+                        <div className="text-[10px] text-slate-400 text-right mb-2">
+                          Half live past {deathAgeQuantile(params.sex, params.health, params.currentAge, 0.5)},
+                          1 in 10 past {deathAgeQuantile(params.sex, params.health, params.currentAge, 0.9)}
+                        </div>
+                      </>
+                    ) : (
+                      <InputGroup
+                      label="Life Expectancy"
+                      value={params.lifeExpectancy}
+                      min={params.retirementAge + 1} max={110} step={1} unit=" yrs"
+                      onChange={(v) => updateParam('lifeExpectancy', v)}
+                      />
+                    )}
+                    <ToggleGroup
+                    label="Plan as a Couple"
+                    tooltip="Adds a partner with their own ages, Pre-Tax and Roth savings. The plan runs until the second death."
+                    checked={params.household}
+                    onChange={(v) => updateParam('household', v)}
                     />
+                    {params.household && (
+                      <div className="bg-slate-50 rounded-lg p-3 border border-slate-100 mb-2">
+                        <InputGroup
+                        label="Partner's Age"
+                        value={params.partnerCurrentAge}
+                        min={18} max={90} step={1} unit=" yrs"
+                        onChange={(v) => updateParam('partnerCurrentAge', v)}
+                        />
+                        <InputGroup
+                        label="Partner Retires At"
+                        value={params.partnerRetirementAge}
+                        min={params.partnerCurrentAge + 1} max={100} step={1} unit=" yrs"
+                        onChange={(v) => updateParam('partnerRetirementAge', v)}
+                        />
+                        {params.longevityModel === 'mortality' ? (
+                          <>
+                            <SelectGroup label="Partner's Sex" value={params.partnerSex} options={SEXES} onChange={(v) => updateParam('partnerSex', v)} />
+                            <SelectGroup label="Partner's Health" value={params.partnerHealth} options={HEALTH_ADJUSTMENTS} onChange={(v) => updateParam('partnerHealth', v)} />
+                          </>
+                        ) : (
+                          <InputGroup
+                          label="Partner Life Expectancy"
+                          value={params.partnerLifeExpectancy}
+                          min={params.partnerCurrentAge + 1} max={110} step={1} unit=" yrs"
+                          onChange={(v) => updateParam('partnerLifeExpectancy', v)}
+                          />
+                        )}
+                        <InputGroup
+                        label="Survivor Spending"
+                        tooltip="Share of the couple's spending the survivor needs after the first death. The survivor inherits every account."
+                        value={params.survivorSpendingRatio}
+                        min={30} max={100} step={5} unit="%"
+                        onChange={(v) => updateParam('survivorSpendingRatio', v)}
+                        />
+                      </div>
+                    )}
                 </div>
             ) : (
                 <div className="text-xs text-slate-500 pl-4 mb-2">
@@ -571,7 +1177,10 @@ export default function App() {
                    <span className="mx-1 text-slate-300">→</span>
                    <span className="font-mono bg-slate-100 px-1 rounded text-indigo-600 font-bold">{params.retirementAge}</span>
                    <span className="mx-1 text-slate-300">→</span>
-                   <span className="font-mono bg-slate-100 px-1 rounded">{params.lifeExpectancy}</span>
+                   <span className="font-mono bg-slate-100 px-1 rounded">{params.longevityModel === 'mortality' ? 'table' : params.lifeExpectancy}</span>
+                   {params.household && (
+                     <span className="ml-2 text-slate-400">+ partner ({params.partnerCurrentAge} → {params.longevityModel === 'mortality' ? 'table' : params.partnerLifeExpectancy})</span>
+                   )}
                 </div>
             )}
           </section>
@@ -611,7 +1220,7 @@ export default function App() {
                     {activeTab === 'taxable' && (
                         <div className="animate-in fade-in slide-in-from-left-1 duration-200">
                         <div className="text-xs text-slate-400 mb-3 flex gap-2 items-center">
-                            <Wallet size={12} /> Taxed at Tax Rate × Inclusion
+                            <Wallet size={12} /> Gains taxed when sold
                         </div>
                         <InputGroup
                             label="Current Balance"
@@ -620,11 +1229,19 @@ export default function App() {
                             onChange={(v) => updateParam('taxableBalance', v)}
                         />
                         <InputGroup
-                            label="Annual Contrib."
-                            value={params.taxableContribution}
-                            min={0} max={100000} step={500} unit="$"
-                            onChange={(v) => updateParam('taxableContribution', v)}
+                            label="Cost Basis"
+                            tooltip="Total paid in for the current holdings. Contributions add to it and each sale draws it down in proportion, so only the gain share of a sale is taxed."
+                            value={params.taxableCostBasis}
+                            min={0} max={2000000} step={1000} unit="$"
+                            onChange={(v) => updateParam('taxableCostBasis', v)}
                         />
+                        <ContributionInput params={params} fixedKey="taxableContribution" pctKey="taxableContributionPct" onChange={updateParam} />
+                        {params.taxableBalance > 0 && (
+                          <div className="text-[10px] text-slate-400 text-right">
+                            Unrealized gain: {formatPercent(Math.max(0, 1 - params.taxableCostBasis / params.taxableBalance) * 100)} of balance
+                          </div>
+                        )}
+                        <AllocationInputs params={params} account="taxable" prefix="taxable" onChange={updateParam} />
                         </div>
                     )}
 
@@ -639,12 +1256,25 @@ export default function App() {
                             min={0} max={2000000} step={1000} unit="$"
                             onChange={(v) => updateParam('preTaxBalance', v)}
                         />
-                        <InputGroup
-                            label="Annual Contrib."
-                            value={params.preTaxContribution}
-                            min={0} max={100000} step={500} unit="$"
-                            onChange={(v) => updateParam('preTaxContribution', v)}
-                        />
+                        <ContributionInput params={params} fixedKey="preTaxContribution" pctKey="preTaxContributionPct" onChange={updateParam} />
+                        {params.household && (
+                          <>
+                            <InputGroup
+                                label="Partner's Balance"
+                                value={params.partnerPreTaxBalance}
+                                min={0} max={2000000} step={1000} unit="$"
+                                onChange={(v) => updateParam('partnerPreTaxBalance', v)}
+                            />
+                            <InputGroup
+                                label="Partner's Contribution"
+                                tooltip="Saved each year until the partner retires, growing at the same real rate as your own savings (the salary raise in % of salary mode)."
+                                value={params.partnerPreTaxContribution}
+                                min={0} max={100000} step={500} unit="$"
+                                onChange={(v) => updateParam('partnerPreTaxContribution', v)}
+                            />
+                          </>
+                        )}
+                        <AllocationInputs params={params} account="pretax" prefix="preTax" onChange={updateParam} />
                         </div>
                     )}
 
@@ -659,15 +1289,127 @@ export default function App() {
                             min={0} max={2000000} step={1000} unit="$"
                             onChange={(v) => updateParam('rothBalance', v)}
                         />
-                        <InputGroup
-                            label="Annual Contrib."
-                            value={params.rothContribution}
-                            min={0} max={100000} step={500} unit="$"
-                            onChange={(v) => updateParam('rothContribution', v)}
-                        />
+                        <ContributionInput params={params} fixedKey="rothContribution" pctKey="rothContributionPct" onChange={updateParam} />
+                        {params.household && (
+                          <>
+                            <InputGroup
+                                label="Partner's Balance"
+                                value={params.partnerRothBalance}
+                                min={0} max={2000000} step={1000} unit="$"
+                                onChange={(v) => updateParam('partnerRothBalance', v)}
+                            />
+                            <InputGroup
+                                label="Partner's Contribution"
+                                tooltip="Saved each year until the partner retires, growing at the same real rate as your own savings (the salary raise in % of salary mode)."
+                                value={params.partnerRothContribution}
+                                min={0} max={100000} step={500} unit="$"
+                                onChange={(v) => updateParam('partnerRothContribution', v)}
+                            />
+                          </>
+                        )}
+                        <AllocationInputs params={params} account="roth" prefix="roth" onChange={updateParam} />
                         </div>
                     )}
                     </div>
+
+                    <div className="mt-3">
+                      <h3 className="text-xs font-semibold text-slate-400 mb-2 uppercase tracking-wide">Contributions</h3>
+                      <SelectGroup
+                        label="Set As"
+                        tooltip="Contributions stop at Retirement Age (end of full-time work)."
+                        value={params.contributionMode}
+                        options={CONTRIBUTION_MODES}
+                        onChange={(v) => updateParam('contributionMode', v)}
+                      />
+                      {params.contributionMode === 'salary' ? (
+                        <>
+                          <InputGroup
+                            label="Salary"
+                            value={params.salary}
+                            min={0} max={1000000} step={1000} unit="$"
+                            onChange={(v) => updateParam('salary', v)}
+                          />
+                          <InputGroup
+                            label="Real Raise / Year"
+                            tooltip={`Salary reaches ${formatCurrency(salaryAt(params, Math.max(1, params.retirementAge - params.currentAge - 1)))} by retirement (today's $).`}
+                            value={params.salaryGrowth}
+                            min={-5} max={10} step={0.1} unit="%"
+                            onChange={(v) => updateParam('salaryGrowth', v)}
+                          />
+                        </>
+                      ) : (
+                        <InputGroup
+                          label="Growth / Year"
+                          tooltip="Real yearly increase in every account's contribution."
+                          value={params.contributionGrowth}
+                          min={-10} max={10} step={0.5} unit="%"
+                          onChange={(v) => updateParam('contributionGrowth', v)}
+                        />
+                      )}
+                      <ToggleGroup
+                        label="Contribution Caps"
+                        tooltip="Statutory limits (e.g. 401k / IRA, RRSP / TFSA). Anything above a cap is saved in Taxable."
+                        checked={params.contributionCaps}
+                        onChange={(v) => updateParam('contributionCaps', v)}
+                      />
+                      {params.contributionCaps && (
+                        <>
+                          <InputGroup
+                            label="Pre-Tax Cap"
+                            value={params.preTaxContributionCap}
+                            min={0} max={100000} step={500} unit="$"
+                            onChange={(v) => updateParam('preTaxContributionCap', v)}
+                          />
+                          <InputGroup
+                            label="Post-Tax Cap"
+                            value={params.rothContributionCap}
+                            min={0} max={100000} step={500} unit="$"
+                            onChange={(v) => updateParam('rothContributionCap', v)}
+                          />
+                          <ToggleGroup
+                            label="Indexed Caps"
+                            tooltip="Off: the caps stay at the same dollar amount, so indexed contributions run into them sooner."
+                            checked={params.contributionCapsIndexed}
+                            onChange={(v) => updateParam('contributionCapsIndexed', v)}
+                          />
+                        </>
+                      )}
+                      <ToggleGroup
+                        label="Indexed Contributions"
+                        tooltip="On: contributions rise with inflation. Off: they stay at the same dollar amount, so they shrink in real terms."
+                        checked={params.contributionsIndexed}
+                        onChange={(v) => updateParam('contributionsIndexed', v)}
+                      />
+                      <ToggleGroup
+                        label="Glide Path"
+                        tooltip="Gradually move stocks into bonds in every account as you age."
+                        checked={params.glidePath}
+                        onChange={(v) => updateParam('glidePath', v)}
+                      />
+                      {params.glidePath && (
+                        <>
+                          <InputGroup
+                            label="From Age"
+                            value={params.glidePathStartAge}
+                            min={params.currentAge} max={100} step={1} unit=" yrs"
+                            onChange={(v) => updateParam('glidePathStartAge', v)}
+                          />
+                          <InputGroup
+                            label="To Age"
+                            value={params.glidePathEndAge}
+                            min={params.glidePathStartAge} max={110} step={1} unit=" yrs"
+                            onChange={(v) => updateParam('glidePathEndAge', v)}
+                          />
+                          <InputGroup
+                            label="Stocks → Bonds"
+                            tooltip="Percentage points of each account moved from stocks to bonds by the end age."
+                            value={params.glidePathShift}
+                            min={0} max={100} step={5} unit="%"
+                            onChange={(v) => updateParam('glidePathShift', v)}
+                          />
+                        </>
+                      )}
+                    </div>
                 </div>
             ) : (
                 <div className="text-xs text-slate-500 pl-4 mb-2 flex flex-col gap-1">
@@ -703,29 +1445,287 @@ export default function App() {
                     min={0} max={200000} step={1000} unit="$"
                     onChange={(v) => updateParam('discretionarySpending', v)}
                   />
+                  <ToggleGroup
+                    label="Indexed Spending"
+                    tooltip="Off: Min Spending and Discretionary are fixed in dollars from today, so what they buy shrinks as prices rise."
+                    checked={params.spendingIndexed}
+                    onChange={(v) => updateParam('spendingIndexed', v)}
+                  />
+                  <ToggleGroup
+                    label="Spending Phases"
+                    tooltip="Scale discretionary spending by age, e.g. more travel early and less later. Applies to the dynamic and constant-dollar strategies."
+                    checked={params.spendingPhases}
+                    onChange={(v) => updateParam('spendingPhases', v)}
+                  />
+                  {params.spendingPhases && (
+                    <SpendingPhaseTable phases={params.spendingPhaseRanges} onChange={(v) => updateParam('spendingPhaseRanges', v)} />
+                  )}
+                  <ToggleGroup
+                    label="Healthcare Costs"
+                    tooltip="A separate, non-negotiable cost per person in retirement that rises with age. Always in today's dollars (indexed): medical prices rise at least as fast as inflation."
+                    checked={params.healthcareCosts}
+                    onChange={(v) => updateParam('healthcareCosts', v)}
+                  />
+                  {params.healthcareCosts && (
+                    <>
+                      <InputGroup
+                        label="Cost at 65"
+                        tooltip="Per person per year: premiums, out-of-pocket and dental."
+                        value={params.healthcareCost}
+                        min={0} max={50000} step={500} unit="$"
+                        onChange={(v) => updateParam('healthcareCost', v)}
+                      />
+                      <InputGroup
+                        label="Increase per Year of Age"
+                        value={params.healthcareCostGrowth}
+                        min={0} max={10} step={0.5} unit="%"
+                        onChange={(v) => updateParam('healthcareCostGrowth', v)}
+                      />
+                      <div className="text-[10px] text-slate-400 text-right mb-2">
+                        {formatCurrency(healthcareCostAt(params, 75))} at 75, {formatCurrency(healthcareCostAt(params, 85))} at 85
+                      </div>
+                    </>
+                  )}
+                  <ToggleGroup
+                    label="Long-Term Care Risk"
+                    tooltip="Each person may need care once, drawn at random on every path. The cost is in today's dollars (indexed)."
+                    checked={params.longTermCare}
+                    onChange={(v) => updateParam('longTermCare', v)}
+                  />
+                  {params.longTermCare && (
+                    <>
+                      <InputGroup
+                        label="Risk From Age"
+                        value={params.ltcStartAge}
+                        min={50} max={100} step={1} unit=" yrs"
+                        onChange={(v) => updateParam('ltcStartAge', v)}
+                      />
+                      <InputGroup
+                        label="Yearly Chance"
+                        value={params.ltcAnnualRisk}
+                        min={0} max={20} step={0.5} unit="%"
+                        onChange={(v) => updateParam('ltcAnnualRisk', v)}
+                      />
+                      <InputGroup
+                        label="Cost / Year"
+                        value={params.ltcAnnualCost}
+                        min={0} max={300000} step={5000} unit="$"
+                        onChange={(v) => updateParam('ltcAnnualCost', v)}
+                      />
+                      <InputGroup
+                        label="Duration"
+                        value={params.ltcDuration}
+                        min={1} max={10} step={1} unit=" yrs"
+                        onChange={(v) => updateParam('ltcDuration', v)}
+                      />
+                    </>
+                  )}
+
+                  <div className="h-px bg-slate-100 my-3"></div>
+
+                  <h3 className="text-xs font-semibold text-slate-400 mb-2 uppercase tracking-wide">Withdrawal Strategy</h3>
+                  <SelectGroup
+                    label="Strategy"
+                    tooltip="How much to spend each retired year. Min Spending is always the floor."
+                    value={params.withdrawalStrategy}
+                    options={WITHDRAWAL_STRATEGIES}
+                    onChange={(v) => updateParam('withdrawalStrategy', v)}
+                  />
+                  {params.withdrawalStrategy === 'dynamic' && (
+                    <div className="text-[10px] text-slate-400 mb-2">Spend the full target, cutting discretionary in years the portfolio didn't grow enough.</div>
+                  )}
+                  {params.withdrawalStrategy === 'constantDollar' && (
+                    <div className="text-[10px] text-slate-400 mb-2">Spend Min + Discretionary every year, whatever the market does.</div>
+                  )}
+                  {params.withdrawalStrategy === 'fixedPercent' && (
+                    <InputGroup
+                      label="Withdrawal Rate"
+                      tooltip="Share of the current portfolio spent each year."
+                      value={params.withdrawalRate}
+                      min={0} max={20} step={0.1} unit="%"
+                      onChange={(v) => updateParam('withdrawalRate', v)}
+                    />
+                  )}
+                  {params.withdrawalStrategy === 'guardrails' && (
+                    <>
+                      <InputGroup
+                        label="Initial Rate"
+                        tooltip="First-year withdrawal as a share of the portfolio. Held constant afterwards unless a guardrail is hit."
+                        value={params.guardrailInitialRate}
+                        min={0} max={20} step={0.1} unit="%"
+                        onChange={(v) => updateParam('guardrailInitialRate', v)}
+                      />
+                      <InputGroup
+                        label="Guardrail Band"
+                        tooltip="How far the current rate may drift from the initial rate (relative %) before spending is cut or raised."
+                        value={params.guardrailBand}
+                        min={0} max={100} step={5} unit="%"
+                        onChange={(v) => updateParam('guardrailBand', v)}
+                      />
+                      <InputGroup
+                        label="Adjustment"
+                        tooltip="Size of each cut (upper guardrail) or raise (lower guardrail)."
+                        value={params.guardrailAdjustment}
+                        min={0} max={50} step={1} unit="%"
+                        onChange={(v) => updateParam('guardrailAdjustment', v)}
+                      />
+                    </>
+                  )}
+                  {params.withdrawalStrategy === 'vpw' && (
+                    <>
+                      <InputGroup
+                        label="Assumed Return"
+                        tooltip="Real portfolio return used to size the yearly payment."
+                        value={params.vpwReturn}
+                        min={0} max={10} step={0.1} unit="%"
+                        onChange={(v) => updateParam('vpwReturn', v)}
+                      />
+                      <InputGroup
+                        label="Plan To Age"
+                        tooltip="Age the portfolio is spent down by."
+                        value={params.vpwEndAge}
+                        min={params.retirementAge + 1} max={120} step={1} unit=" yrs"
+                        onChange={(v) => updateParam('vpwEndAge', v)}
+                      />
+                      <div className="text-[10px] text-slate-400 text-right mb-2">
+                        Rate at retirement: {formatPercent(vpwRate(params, params.retirementAge) * 100)}
+                      </div>
+                    </>
+                  )}
+
+                  <div className="h-px bg-slate-100 my-3"></div>
+
+                  <h3 className="text-xs font-semibold text-slate-400 mb-2 uppercase tracking-wide">Withdrawal Order</h3>
+                  <SelectGroup
+                    label="Order"
+                    tooltip="Which accounts fund spending (and the tax on it) first."
+                    value={params.withdrawalOrder}
+                    options={WITHDRAWAL_ORDERS}
+                    onChange={(v) => updateParam('withdrawalOrder', v)}
+                  />
+                  {params.withdrawalOrder === 'fillBracket' && (
+                    <InputGroup
+                      label="Low Bracket Top"
+                      tooltip="Pre-Tax is drawn first until taxable income reaches this amount, then Taxable → Pre-Tax → Roth."
+                      value={params.lowBracketCeiling}
+                      min={0} max={500000} step={1000} unit="$"
+                      onChange={(v) => updateParam('lowBracketCeiling', v)}
+                    />
+                  )}
+
+                  <h3 className="text-xs font-semibold text-slate-400 mb-2 mt-3 uppercase tracking-wide">Roth Conversions</h3>
+                  <SelectGroup
+                    label="Conversions"
+                    tooltip="Move Pre-Tax money to Roth each year between two ages. The tax is paid from Taxable."
+                    value={params.rothConversion}
+                    options={ROTH_CONVERSION_MODES}
+                    onChange={(v) => updateParam('rothConversion', v)}
+                  />
+                  {params.rothConversion !== 'none' && (
+                    <>
+                      <InputGroup
+                        label="From Age"
+                        value={params.rothConversionStartAge}
+                        min={params.currentAge} max={100} step={1} unit=" yrs"
+                        onChange={(v) => updateParam('rothConversionStartAge', v)}
+                      />
+                      <InputGroup
+                        label="To Age"
+                        value={params.rothConversionEndAge}
+                        min={params.rothConversionStartAge} max={110} step={1} unit=" yrs"
+                        onChange={(v) => updateParam('rothConversionEndAge', v)}
+                      />
+                      {params.rothConversion === 'fixed' ? (
+                        <InputGroup
+                          label="Amount / Year"
+                          value={params.rothConversionAmount}
+                          min={0} max={500000} step={1000} unit="$"
+                          onChange={(v) => updateParam('rothConversionAmount', v)}
+                        />
+                      ) : (
+                        <InputGroup
+                          label="Income Ceiling"
+                          tooltip="Convert until the year's taxable income (including Pre-Tax withdrawals) reaches this amount, e.g. the top of a tax bracket."
+                          value={params.rothConversionCeiling}
+                          min={0} max={500000} step={1000} unit="$"
+                          onChange={(v) => updateParam('rothConversionCeiling', v)}
+                        />
+                      )}
+                    </>
+                  )}
+
+                  <h3 className="text-xs font-semibold text-slate-400 mb-2 mt-3 uppercase tracking-wide">Mandatory Withdrawals</h3>
+                  <SelectGroup
+                    label="Schedule"
+                    tooltip="Minimum share of Pre-Tax that must be withdrawn (and taxed) each year. Anything spending doesn't need is reinvested in Taxable."
+                    value={params.mandatoryWithdrawals}
+                    options={MANDATORY_WITHDRAWAL_SCHEDULES}
+                    onChange={selectMandatorySchedule}
+                  />
+                  {params.mandatoryWithdrawals !== 'none' && (
+                    <InputGroup
+                      label="Start Age"
+                      value={params.mandatoryWithdrawalStartAge}
+                      min={50} max={100} step={1} unit=" yrs"
+                      onChange={(v) => updateParam('mandatoryWithdrawalStartAge', v)}
+                    />
+                  )}
+                  <div className="h-px bg-slate-100 my-3"></div>
+
+                  <h3 className="text-xs font-semibold text-slate-400 mb-2 uppercase tracking-wide">Bridge Income</h3>
+                  <InputGroup
+                    label="Part-Time Income"
+                    tooltip="Earned each year from Retirement Age until the end age. Taxed like fixed income; no contributions are made in this phase."
+                    value={params.bridgeIncome}
+                    min={0} max={200000} step={1000} unit="$"
+                    onChange={(v) => updateParam('bridgeIncome', v)}
+                  />
+                  {params.bridgeIncome > 0 && (
+                    <>
+                      <InputGroup
+                        label="Until Age"
+                        value={params.bridgeEndAge}
+                        min={params.retirementAge} max={100} step={1} unit=" yrs"
+                        onChange={(v) => updateParam('bridgeEndAge', v)}
+                      />
+                      <ToggleGroup
+                        label="Indexed Pay"
+                        tooltip="Off: the pay is fixed in dollars from today and loses purchasing power every year."
+                        checked={params.bridgeIncomeIndexed}
+                        onChange={(v) => updateParam('bridgeIncomeIndexed', v)}
+                      />
+                    </>
+                  )}
 
                   <div className="h-px bg-slate-100 my-3"></div>
 
                   <h3 className="text-xs font-semibold text-slate-400 mb-2 uppercase tracking-wide flex items-center gap-1">
                       <Wallet size={12} /> Fixed Income
                   </h3>
-                  <InputGroup
-                    label="Annual Amount"
-                    tooltip="Pension, Annuity, Govt Income (Real $)"
-                    value={params.fixedIncomeAnnual}
-                    min={0} max={100000} step={1000} unit="$"
-                    onChange={(v) => updateParam('fixedIncomeAnnual', v)}
-                  />
-                   <InputGroup
-                    label="Start Age"
-                    value={params.fixedIncomeStartAge}
-                    min={50} max={80} step={1} unit=" yrs"
-                    onChange={(v) => updateParam('fixedIncomeStartAge', v)}
-                  />
+                  {params.incomeStreams.map((stream, index) => (
+                    <IncomeStreamEditor
+                      key={index}
+                      stream={stream}
+                      household={params.household}
+                      onChange={(v) => updateParam('incomeStreams', params.incomeStreams.map((s, i) => (i === index ? v : s)))}
+                      onRemove={() => updateParam('incomeStreams', params.incomeStreams.filter((_, i) => i !== index))}
+                    />
+                  ))}
+                  <div className="flex flex-wrap gap-1 mb-2">
+                    {Object.entries(INCOME_STREAM_PRESETS).map(([id, preset]) => (
+                      <button
+                        key={id}
+                        onClick={() => updateParam('incomeStreams', [...params.incomeStreams, { ...preset }])}
+                        className="text-[10px] font-semibold text-indigo-600 hover:text-indigo-800 border border-dashed border-indigo-200 rounded px-2 py-1"
+                      >
+                        + {preset.label}
+                      </button>
+                    ))}
+                  </div>
 
                   <div className="text-xs text-slate-500 bg-slate-50 p-2 rounded border border-slate-100 mt-2">
-                     Net Portfolio Need: <span className="font-semibold">{formatCurrency(Math.max(0, floorSpending - params.fixedIncomeAnnual))} – {formatCurrency(Math.max(0, targetSpending - params.fixedIncomeAnnual))}</span> <br/>
-                     <span className="text-[10px] text-slate-400">(Assuming fixed income is active)</span>
+                     Net Portfolio Need: <span className="font-semibold">{formatCurrency(Math.max(0, floorSpending - totalFixedIncome))} – {formatCurrency(Math.max(0, targetSpending - totalFixedIncome))}</span> <br/>
+                     <span className="text-[10px] text-slate-400">(Assuming every income stream is active)</span>
                   </div>
                 </div>
              ) : (
@@ -735,6 +1735,187 @@ export default function App() {
              )}
            </section>
 
+          {/* Life Events Section */}
+          <section className="mb-6 border-b border-slate-100 pb-2">
+             <div
+               className="flex items-center justify-between cursor-pointer mb-3 group"
+               onClick={() => setShowEvents(!showEvents)}
+             >
+                <SectionHeader title="Life Events" colorClass="bg-sky-500" icon={CalendarDays} />
+                {showEvents ? <ChevronUp size={16} className="text-slate-400"/> : <ChevronDown size={16} className="text-slate-400"/>}
+             </div>
+
+             {showEvents ? (
+                <div className="animate-in fade-in slide-in-from-top-2 duration-200">
+                  {params.lifeEvents.map((event, index) => (
+                    <LifeEventEditor
+                      key={index}
+                      event={event}
+                      onChange={(v) => updateLifeEvent(index, v)}
+                      onRemove={() => updateParam('lifeEvents', params.lifeEvents.filter((_, i) => i !== index))}
+                    />
+                  ))}
+                  <button
+                    onClick={() => updateParam('lifeEvents', [...params.lifeEvents, newLifeEvent(params.currentAge + 5)])}
+                    className="w-full text-xs font-semibold text-indigo-600 hover:text-indigo-800 border border-dashed border-indigo-200 rounded-lg py-2 mb-2"
+                  >
+                    + Add Event
+                  </button>
+                  <div className="text-[10px] text-slate-400">Amounts in today's dollars.</div>
+                </div>
+             ) : (
+                 <div className="text-xs text-slate-500 pl-4 mb-2">
+                    {params.lifeEvents.length === 0 ? 'No events' : `${params.lifeEvents.length} event${params.lifeEvents.length > 1 ? 's' : ''}`}
+                 </div>
+             )}
+           </section>
+
+          {/* Stress Tests Section */}
+          <section className="mb-6 border-b border-slate-100 pb-2">
+             <div
+               className="flex items-center justify-between cursor-pointer mb-3 group"
+               onClick={() => setShowStress(!showStress)}
+             >
+                <SectionHeader title="Stress Tests" colorClass="bg-red-500" icon={Zap} />
+                {showStress ? <ChevronUp size={16} className="text-slate-400"/> : <ChevronDown size={16} className="text-slate-400"/>}
+             </div>
+
+             {showStress ? (
+                <div className="animate-in fade-in slide-in-from-top-2 duration-200">
+                  {params.stressTests.map((stress, index) => (
+                    <StressTestEditor
+                      key={index}
+                      stress={stress}
+                      onChange={(v) => updateStressTest(index, v)}
+                      onRemove={() => updateParam('stressTests', params.stressTests.filter((_, i) => i !== index))}
+                    />
+                  ))}
+                  {params.stressTests.length < MAX_STRESS_TESTS && (
+                    <>
+                      <div className="flex flex-wrap gap-1 mb-2">
+                        {stressPresets(params.retirementAge).map((preset) => (
+                          <button
+                            key={preset.label}
+                            onClick={() => updateParam('stressTests', [...params.stressTests, preset])}
+                            className="text-[10px] font-semibold text-indigo-600 hover:text-indigo-800 border border-indigo-100 rounded px-1.5 py-0.5"
+                          >
+                            + {preset.label}
+                          </button>
+                        ))}
+                      </div>
+                      <button
+                        onClick={() => updateParam('stressTests', [...params.stressTests, newStressTest(params.retirementAge)])}
+                        className="w-full text-xs font-semibold text-indigo-600 hover:text-indigo-800 border border-dashed border-indigo-200 rounded-lg py-2 mb-2"
+                      >
+                        + Add Stress Test
+                      </button>
+                    </>
+                  )}
+                  <div className="text-[10px] text-slate-400">Forced onto every random path; each is drawn next to the wealth cone.</div>
+                </div>
+             ) : (
+                 <div className="text-xs text-slate-500 pl-4 mb-2">
+                    {params.stressTests.length === 0 ? 'No stress tests' : `${params.stressTests.length} stress test${params.stressTests.length > 1 ? 's' : ''}`}
+                 </div>
+             )}
+           </section>
+
+          {/* Scenarios Section */}
+          <section className="mb-6 border-b border-slate-100 pb-2">
+             <div
+               className="flex items-center justify-between cursor-pointer mb-3 group"
+               onClick={() => setShowScenarios(!showScenarios)}
+             >
+                <SectionHeader title="Scenarios" colorClass="bg-violet-500" icon={Bookmark} />
+                {showScenarios ? <ChevronUp size={16} className="text-slate-400"/> : <ChevronDown size={16} className="text-slate-400"/>}
+             </div>
+
+             {showScenarios ? (
+                <div className="animate-in fade-in slide-in-from-top-2 duration-200">
+                  <div className="flex gap-1 mb-3">
+                    <input
+                      type="text"
+                      value={scenarioName}
+                      placeholder="e.g. Retire at 55"
+                      onChange={(e) => setScenarioName(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                          scenarios.save(scenarioName, params);
+                          setScenarioName('');
+                        }
+                      }}
+                      className="flex-1 min-w-0 rounded-md border border-slate-300 py-1 px-2 text-xs bg-white text-slate-900"
+                    />
+                    <button
+                      onClick={() => {
+                        scenarios.save(scenarioName, params);
+                        setScenarioName('');
+                      }}
+                      disabled={!scenarioName.trim()}
+                      className="text-xs font-semibold text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-slate-300 rounded-md px-3"
+                    >
+                      Save
+                    </button>
+                  </div>
+                  {scenarios.scenarios.map((scenario) => {
+                    const pinned = scenarios.isPinned(scenario.id);
+                    const pinIndex = scenarios.pinned.findIndex(s => s.id === scenario.id);
+                    return (
+                      <div key={scenario.id} className="flex items-center gap-2 mb-1 text-xs">
+                        <button
+                          onClick={() => scenarios.togglePin(scenario.id)}
+                          disabled={!pinned && scenarios.pinned.length >= MAX_PINNED}
+                          className={`p-1 rounded ${pinned ? 'text-white' : 'text-slate-300 hover:text-slate-500 disabled:hover:text-slate-300'}`}
+                          style={pinned ? { backgroundColor: SCENARIO_COLORS[pinIndex] } : undefined}
+                          title={pinned ? 'Unpin' : `Pin to compare (up to ${MAX_PINNED})`}
+                        >
+                          <Pin size={12} />
+                        </button>
+                        <button
+                          onClick={() => loadScenario(savedParams(scenario))}
+                          className="flex-1 min-w-0 truncate text-left font-medium text-slate-700 hover:text-indigo-600"
+                          title="Load these inputs"
+                        >
+                          {scenario.name}
+                        </button>
+                        <button onClick={() => scenarios.remove(scenario.id)} className="text-slate-300 hover:text-red-500 text-sm px-1" title="Delete scenario">×</button>
+                      </div>
+                    );
+                  })}
+                  <div className="flex gap-1 mt-3">
+                    <button
+                      onClick={exportScenario}
+                      className="flex-1 text-xs font-semibold text-indigo-600 hover:text-indigo-800 border border-indigo-200 rounded-md py-1"
+                      title="Download the current inputs as a JSON file"
+                    >
+                      Export JSON
+                    </button>
+                    <label className="flex-1 text-center cursor-pointer text-xs font-semibold text-indigo-600 hover:text-indigo-800 border border-indigo-200 rounded-md py-1">
+                      Import JSON
+                      <input
+                        type="file"
+                        accept="application/json,.json"
+                        className="hidden"
+                        onChange={(e) => {
+                          importScenario(e.target.files[0]);
+                          e.target.value = '';
+                        }}
+                      />
+                    </label>
+                  </div>
+                  <div className="text-[10px] text-slate-400 mt-2">
+                    Saved in this browser. Click a name to load it; pin up to {MAX_PINNED} to overlay them on the Wealth Probability chart.
+                  </div>
+                </div>
+             ) : (
+                 <div className="text-xs text-slate-500 pl-4 mb-2">
+                    {scenarios.scenarios.length === 0
+                      ? 'No saved scenarios'
+                      : `${scenarios.scenarios.length} saved${scenarios.pinned.length > 0 ? `, ${scenarios.pinned.length} pinned` : ''}`}
+                 </div>
+             )}
+           </section>
+
           {/* Economics Section */}
           <section className="mb-6">
              <div
@@ -747,40 +1928,320 @@ export default function App() {
 
             {showAdvanced && (
               <div className="bg-slate-50 p-4 rounded-lg border border-slate-100 mb-4 animate-in fade-in slide-in-from-top-2 duration-200">
-                <InputGroup
-                  label="Expected Return"
-                  tooltip="Real annual return (after inflation) in real dollars."
-                  value={params.expectedReturn}
-                  min={1} max={15} step={0.1} unit="%"
-                  onChange={(v) => updateParam('expectedReturn', v)}
+                <h3 className="text-xs font-semibold text-slate-500 mb-3">Stocks</h3>
+                <SelectGroup
+                  label="Return Model"
+                  tooltip="How each year's real return is drawn. Historical models resample actual US stock returns, keeping their fat tails."
+                  value={params.returnModel}
+                  options={RETURN_MODELS}
+                  onChange={(v) => updateParam('returnModel', v)}
                 />
-                <InputGroup
-                  label="Volatility"
-                  tooltip="Standard Deviation. Higher volatility means wider swings in annual returns, increasing both the upside potential and downside risk."
-                  value={params.volatility}
-                  min={1} max={30} step={0.5} unit="%"
-                  onChange={(v) => updateParam('volatility', v)}
+                {isHistoricalModel(params.returnModel) ? (
+                  <>
+                    {params.returnModel === 'blockBootstrap' && (
+                      <InputGroup
+                        label="Block Length"
+                        tooltip="Consecutive historical years drawn together, preserving multi-year streaks."
+                        value={params.blockLength}
+                        min={1} max={20} step={1} unit=" yrs"
+                        onChange={(v) => updateParam('blockLength', v)}
+                      />
+                    )}
+                    <div className="text-xs text-slate-500 bg-white p-2 rounded border border-slate-100 mb-2">
+                      {historicalStats.years} years of US stock returns: {formatPercent(historicalStats.mean * 100)} mean, {formatPercent(historicalStats.volatility * 100)} volatility (Real)
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    {params.returnModel === 'regime' ? (
+                      <>
+                        <h3 className="text-xs font-semibold text-slate-500 mb-2 mt-3">Bull Market</h3>
+                        <InputGroup
+                          label="Return"
+                          value={params.bullReturn}
+                          min={-10} max={25} step={0.5} unit="%"
+                          onChange={(v) => updateParam('bullReturn', v)}
+                        />
+                        <InputGroup
+                          label="Volatility"
+                          value={params.bullVolatility}
+                          min={1} max={40} step={0.5} unit="%"
+                          onChange={(v) => updateParam('bullVolatility', v)}
+                        />
+                        <InputGroup
+                          label="Avg. Duration"
+                          tooltip="Average length of a bull market. Sets the yearly chance of switching to a bear market."
+                          value={params.bullDuration}
+                          min={1} max={20} step={0.5} unit=" yrs"
+                          onChange={(v) => updateParam('bullDuration', v)}
+                        />
+                        <h3 className="text-xs font-semibold text-slate-500 mb-2 mt-3">Bear Market</h3>
+                        <InputGroup
+                          label="Return"
+                          value={params.bearReturn}
+                          min={-50} max={10} step={0.5} unit="%"
+                          onChange={(v) => updateParam('bearReturn', v)}
+                        />
+                        <InputGroup
+                          label="Volatility"
+                          value={params.bearVolatility}
+                          min={1} max={60} step={0.5} unit="%"
+                          onChange={(v) => updateParam('bearVolatility', v)}
+                        />
+                        <InputGroup
+                          label="Avg. Duration"
+                          value={params.bearDuration}
+                          min={1} max={20} step={0.5} unit=" yrs"
+                          onChange={(v) => updateParam('bearDuration', v)}
+                        />
+                      </>
+                    ) : (
+                      <>
+                        <InputGroup
+                          label="Expected Return"
+                          tooltip="Real annual stock return (after inflation) in real dollars."
+                          value={params.expectedReturn}
+                          min={1} max={15} step={0.1} unit="%"
+                          onChange={(v) => updateParam('expectedReturn', v)}
+                        />
+                        <InputGroup
+                          label="Volatility"
+                          tooltip="Standard Deviation. Higher volatility means wider swings in annual returns, increasing both the upside potential and downside risk."
+                          value={params.volatility}
+                          min={1} max={30} step={0.5} unit="%"
+                          onChange={(v) => updateParam('volatility', v)}
+                        />
+                        {params.returnModel === 'studentT' && (
+                          <InputGroup
+                            label="Degrees of Freedom"
+                            tooltip="Tail weight. Lower values give more extreme years (crashes and booms) at the same volatility; 30+ is close to Normal."
+                            value={params.degreesOfFreedom}
+                            min={MIN_DEGREES_OF_FREEDOM} max={50} step={0.5}
+                            onChange={(v) => updateParam('degreesOfFreedom', v)}
+                          />
+                        )}
+                      </>
+                    )}
+                    <ToggleGroup
+                      label="Mean Reversion"
+                      tooltip="Good years tend to be followed by weaker ones and vice versa, without changing the yearly volatility."
+                      checked={params.meanReversion}
+                      onChange={(v) => updateParam('meanReversion', v)}
+                    />
+                    {params.meanReversion && (
+                      <InputGroup
+                        label="Strength"
+                        tooltip="Share of last year's deviation from the long-run mean that is reversed this year."
+                        value={params.meanReversionStrength}
+                        min={0} max={95} step={5} unit="%"
+                        onChange={(v) => updateParam('meanReversionStrength', v)}
+                      />
+                    )}
+                  </>
+                )}
+                <div className="h-px bg-slate-200 my-4"></div>
+                <h3 className="text-xs font-semibold text-slate-500 mb-3">Bonds & Cash</h3>
+                {isHistoricalModel(params.returnModel) ? (
+                  <div className="text-xs text-slate-500 bg-white p-2 rounded border border-slate-100 mb-2">
+                    Drawn from the same historical years as stocks (10-year Treasuries and T-bills).
+                  </div>
+                ) : (
+                  <>
+                    <InputGroup
+                      label="Bond Return"
+                      value={params.bondReturn}
+                      min={-5} max={10} step={0.1} unit="%"
+                      onChange={(v) => updateParam('bondReturn', v)}
+                    />
+                    <InputGroup
+                      label="Bond Volatility"
+                      value={params.bondVolatility}
+                      min={0} max={30} step={0.5} unit="%"
+                      onChange={(v) => updateParam('bondVolatility', v)}
+                    />
+                    <InputGroup
+                      label="Cash Return"
+                      value={params.cashReturn}
+                      min={-5} max={10} step={0.1} unit="%"
+                      onChange={(v) => updateParam('cashReturn', v)}
+                    />
+                    <InputGroup
+                      label="Cash Volatility"
+                      value={params.cashVolatility}
+                      min={0} max={30} step={0.5} unit="%"
+                      onChange={(v) => updateParam('cashVolatility', v)}
+                    />
+                    <h3 className="text-xs font-semibold text-slate-500 mb-2 mt-3">Correlations</h3>
+                    <InputGroup
+                      label="Stocks / Bonds"
+                      value={params.stockBondCorrelation}
+                      min={-1} max={1} step={0.05}
+                      onChange={(v) => updateParam('stockBondCorrelation', v)}
+                    />
+                    <InputGroup
+                      label="Stocks / Cash"
+                      value={params.stockCashCorrelation}
+                      min={-1} max={1} step={0.05}
+                      onChange={(v) => updateParam('stockCashCorrelation', v)}
+                    />
+                    <InputGroup
+                      label="Bonds / Cash"
+                      value={params.bondCashCorrelation}
+                      min={-1} max={1} step={0.05}
+                      onChange={(v) => updateParam('bondCashCorrelation', v)}
+                    />
+                    {!correlationFactor(params).valid && (
+                      <div className="text-xs text-amber-700 bg-amber-50 p-2 rounded border border-amber-200 flex gap-1 items-start">
+                        <AlertTriangle size={12} className="shrink-0 mt-0.5" />
+                        These correlations are inconsistent with each other; the nearest valid set is used.
+                      </div>
+                    )}
+                  </>
+                )}
+                <div className="h-px bg-slate-200 my-4"></div>
+                <h3 className="text-xs font-semibold text-slate-500 mb-3">Inflation</h3>
+                <SelectGroup
+                  label="Model"
+                  tooltip="Returns are real. Inflation only matters for amounts that aren't indexed, and for the nominal view of the charts."
+                  value={params.inflationModel}
+                  options={INFLATION_MODELS}
+                  onChange={(v) => updateParam('inflationModel', v)}
+                />
+                {params.inflationModel === 'stochastic' && isHistoricalModel(params.returnModel) ? (
+                  <div className="text-[10px] text-slate-400 mb-2">Uses the CPI of each sampled historical year.</div>
+                ) : (
+                  <InputGroup
+                    label={params.inflationModel === 'stochastic' ? 'Mean Inflation' : 'Inflation Rate'}
+                    value={params.inflationRate}
+                    min={-2} max={15} step={0.1} unit="%"
+                    onChange={(v) => updateParam('inflationRate', v)}
+                  />
+                )}
+                {params.inflationModel === 'stochastic' && !isHistoricalModel(params.returnModel) && (
+                  <>
+                    <InputGroup
+                      label="Inflation Volatility"
+                      value={params.inflationVolatility}
+                      min={0} max={10} step={0.1} unit="%"
+                      onChange={(v) => updateParam('inflationVolatility', v)}
+                    />
+                    <InputGroup
+                      label="Stocks / Inflation"
+                      tooltip="Correlation between the stock return and inflation in the same year."
+                      value={params.stockInflationCorrelation}
+                      min={-1} max={1} step={0.05}
+                      onChange={(v) => updateParam('stockInflationCorrelation', v)}
+                    />
+                  </>
+                )}
+                <div className="h-px bg-slate-200 my-4"></div>
+                <h3 className="text-xs font-semibold text-slate-500 mb-3">Taxes</h3>
+                <SelectGroup
+                  label="Tax System"
+                  tooltip="Progressive brackets applied each year to fixed income, pre-tax withdrawals, Roth conversions and realized gains. Thresholds are in today's dollars."
+                  value={params.taxSystem}
+                  options={TAX_SYSTEMS}
+                  onChange={selectTaxSystem}
+                />
+                <BracketTable
+                  label={params.taxSystem === 'flat' ? 'Income Tax' : 'Federal Brackets'}
+                  brackets={params.taxBrackets}
+                  onChange={(v) => updateParam('taxBrackets', v)}
+                />
+                {taxSystem(params).regionLabel && (
+                  <BracketTable
+                    label={`${taxSystem(params).regionLabel} Brackets`}
+                    brackets={params.regionalTaxBrackets}
+                    onChange={(v) => updateParam('regionalTaxBrackets', v)}
+                  />
+                )}
+                {taxSystem(params).gains === 'brackets' ? (
+                  <BracketTable
+                    label="Capital Gains (stacked on income)"
+                    brackets={params.capitalGainsBrackets}
+                    onChange={(v) => updateParam('capitalGainsBrackets', v)}
+                  />
+                ) : (
+                  <InputGroup
+                    label="Inclusion Rate"
+                    tooltip="Share of a realized capital gain added to taxable income."
+                    value={params.capitalGainsInclusion}
+                    min={0} max={100} step={1} unit="%"
+                    onChange={(v) => updateParam('capitalGainsInclusion', v)}
+                  />
+                )}
+                <ToggleGroup
+                  label="Indexed Brackets"
+                  tooltip="Off: thresholds stay at the same dollar amounts, so inflation pushes income into higher brackets (bracket creep)."
+                  checked={params.taxBracketsIndexed}
+                  onChange={(v) => updateParam('taxBracketsIndexed', v)}
                 />
-                {/* Inflation Input Removed */}
                 <div className="h-px bg-slate-200 my-4"></div>
-                <h3 className="text-xs font-semibold text-slate-500 mb-3">Tax Rates</h3>
-                 <InputGroup
-                  label="Income Tax Rate"
-                  value={params.incomeTaxRate}
-                  min={0} max={60} step={1} unit="%"
-                  onChange={(v) => updateParam('incomeTaxRate', v)}
+                <h3 className="text-xs font-semibold text-slate-500 mb-3">Outcome Measures</h3>
+                <SelectGroup
+                  label="Success Means"
+                  tooltip="What a path must do to count toward the success probability."
+                  value={params.successDefinition}
+                  options={SUCCESS_DEFINITIONS}
+                  onChange={(v) => updateParam('successDefinition', v)}
                 />
+                {params.successDefinition === 'legacyTarget' && (
+                  <InputGroup
+                    label="Legacy Target"
+                    tooltip="Wealth (today's $) to leave at death, or at the second death for a couple."
+                    value={params.legacyTarget}
+                    min={0} step={10000} unit="$"
+                    onChange={(v) => updateParam('legacyTarget', v)}
+                  />
+                )}
+                <SelectGroup
+                  label="Wealth Bands"
+                  tooltip="Percentiles drawn around the median. Safe Until Age uses the lower one."
+                  value={params.bandPercentile}
+                  options={BAND_PERCENTILES}
+                  onChange={(v) => updateParam('bandPercentile', Number(v))}
+                />
+                <div className="h-px bg-slate-200 my-4"></div>
+                <h3 className="text-xs font-semibold text-slate-500 mb-3 flex items-center justify-between">
+                  Simulation
+                  <button
+                    onClick={() => updateParam('seed', randomSeed())}
+                    className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800 font-semibold"
+                    title="Draw a new random seed"
+                  >
+                    <RefreshCw size={12} className={isSimulating ? 'animate-spin' : ''} /> Reroll
+                  </button>
+                </h3>
+                <div className="mb-2 flex items-center justify-between">
+                  <label className="text-xs font-medium text-slate-700 shrink-0 mr-2">Paths</label>
+                  <div className="flex p-0.5 bg-slate-200 rounded-md w-32 shrink-0">
+                    {SIMULATION_COUNTS.map((count) => (
+                      <button
+                        key={count}
+                        onClick={() => updateParam('simulations', count)}
+                        className={`flex-1 text-xs font-semibold py-0.5 rounded transition-all ${
+                          params.simulations === count
+                            ? 'bg-white text-indigo-600 shadow-sm'
+                            : 'text-slate-500 hover:text-slate-700'
+                        }`}
+                      >
+                        {count / 1000}k
+                      </button>
+                    ))}
+                  </div>
+                </div>
                 <InputGroup
-                  label="Inclusion Rate"
-                  value={params.capitalGainsInclusion}
-                  min={0} max={100} step={1} unit="%"
-                  onChange={(v) => updateParam('capitalGainsInclusion', v)}
+                  label="Random Seed"
+                  tooltip="The same inputs and seed always produce the same results, so a shared link reproduces them exactly."
+                  value={params.seed}
+                  min={0} step={1}
+                  onChange={(v) => updateParam('seed', Math.max(0, Math.floor(v)))}
                 />
               </div>
             )}
              {!showAdvanced && (
                <div className="text-xs text-slate-500 pl-4 mb-2">
-                 Return: {params.expectedReturn}% | Tax: {((params.incomeTaxRate * params.capitalGainsInclusion)/100).toFixed(1)}%
+                 Return: {isHistoricalModel(params.returnModel) ? 'Historical' : `${params.expectedReturn}%`} | Tax: {taxSystem(params).label}
                </div>
             )}
           </section>
@@ -788,38 +2249,140 @@ export default function App() {
       </div>
 
       {/* MAIN CONTENT - CHART & RESULTS */}
-      <div className="flex-1 flex flex-col bg-slate-50 h-full overflow-hidden">
+      <div className="flex-1 flex flex-col bg-slate-50 h-full overflow-hidden print:h-auto print:overflow-visible print:bg-white">
+
+        {/* Report header (print only) */}
+        {results && (
+          <div className="hidden print:block px-8 pt-6">
+            <h1 className="text-xl font-bold text-slate-800">Wealth Simulator Report</h1>
+            <p className="text-xs text-slate-500 mb-3">
+              {new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })} · all amounts in today's dollars unless noted
+            </p>
+            <dl className="grid grid-cols-2 gap-x-8 gap-y-1 text-xs">
+              {reportSummary(results.params).map(([label, value]) => (
+                <div key={label} className="flex justify-between border-b border-slate-100 py-0.5">
+                  <dt className="text-slate-500">{label}</dt>
+                  <dd className="font-medium text-slate-800 text-right">{value}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+        )}
+
+        {/* Scenario load problems */}
+        {scenarioIssues.length > 0 && (
+          <div className="flex-none print:hidden bg-amber-50 border-b border-amber-200 px-6 md:px-8 py-3 text-xs text-amber-800">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <div className="font-semibold flex items-center gap-1 mb-1">
+                  <AlertTriangle size={14} /> Some scenario values were rejected or fixed
+                </div>
+                <ul className="list-disc pl-5 space-y-0.5">
+                  {scenarioIssues.map((issue, index) => (
+                    <li key={index}><span className="font-mono">{issue.field}</span> {issue.message}</li>
+                  ))}
+                </ul>
+              </div>
+              <button onClick={() => setScenarioIssues([])} className="text-amber-500 hover:text-amber-800 text-sm px-1" title="Dismiss">×</button>
+            </div>
+          </div>
+        )}
+
+        {/* Engine failure */}
+        {simulationError && (
+          <div className="flex-none print:hidden bg-red-50 border-b border-red-200 px-6 md:px-8 py-3 text-xs text-red-800 flex items-center gap-1">
+            <AlertTriangle size={14} />
+            <span className="font-semibold">The simulation failed for these inputs:</span> {simulationError}
+            {results && <span className="text-red-600"> · the results shown are from earlier inputs</span>}
+          </div>
+        )}
 
         {/* KPI Header */}
-        <div className="flex-none p-6 md:p-8 grid grid-cols-1 md:grid-cols-3 gap-4 border-b border-slate-100 bg-white">
+        <div className={`relative flex-none p-6 md:p-8 grid grid-cols-1 md:grid-cols-3 print:grid-cols-3 gap-4 border-b border-slate-100 bg-white transition-opacity ${isSimulating ? 'opacity-60' : ''}`}>
+          {results && (
+            <div className="md:col-span-3 -mt-2 md:-mt-4 -mb-2 text-[11px] font-medium text-slate-400 flex flex-wrap items-center justify-between gap-2">
+              <span>Return model: {describeReturnModel(results.params)}</span>
+              <span className="flex items-center gap-3 print:hidden">
+                <span className="flex items-center gap-1"><Download size={11} /> CSV:</span>
+                <button onClick={() => downloadFile('yearly-breakdown.csv', yearlyBreakdownCsv({ ...results, tableData: shownPath.tableData }), 'text/csv')} className="text-indigo-600 hover:text-indigo-800">Yearly</button>
+                <button onClick={() => downloadFile('percentiles.csv', percentilesCsv(results), 'text/csv')} className="text-indigo-600 hover:text-indigo-800">Percentiles</button>
+                <button
+                  onClick={exportPathTotals}
+                  disabled={exportingPaths}
+                  className="text-indigo-600 hover:text-indigo-800 disabled:text-slate-400"
+                  title="Total wealth of every path by age (reruns the simulation)"
+                >
+                  {exportingPaths ? 'All paths…' : 'All paths'}
+                </button>
+                {exportError && <span className="text-red-600" title={exportError}>export failed: {exportError}</span>}
+                <button onClick={() => window.print()} className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800">
+                  <Printer size={11} /> Print report
+                </button>
+              </span>
+            </div>
+          )}
           <KPICard
             title="Success Probability"
             value={results ? `${results.successRate.toFixed(1)}%` : '-'}
-            subtext="Chance to preserve capital"
+            subtext={results ? successSubtext(results.params) : ''}
             icon={results?.successRate > 80 ? CheckCircle : AlertTriangle}
             colorClass={results?.successRate > 80 ? 'text-emerald-600 bg-emerald-500' : (results?.successRate > 50 ? 'text-amber-600 bg-amber-500' : 'text-red-600 bg-red-500')}
           />
           <KPICard
             title="Median Legacy"
             value={results ? formatCurrency(results.medianEndWealth) : '-'}
-            subtext="Total wealth at life expectancy"
+            subtext={results?.params.household
+              ? 'Household wealth at the second death'
+              : (results?.params.longevityModel === 'mortality' ? 'Total wealth at death' : 'Total wealth at life expectancy')}
             icon={TrendingUp}
             colorClass="text-indigo-600 bg-indigo-500"
           />
           <KPICard
             title="Safe Until Age"
             value={results ? results.survivalAge : '-'}
-            subtext="In worst 20% of cases"
+            subtext={`In worst ${bandLow}% of ${results?.params.longevityModel === 'mortality' ? 'paths still alive' : 'cases'}${results?.params.household ? ' (your age)' : ''}`}
             icon={ShieldCheck}
             colorClass="text-blue-600 bg-blue-500"
           />
+          <KPICard
+            title="Expected Shortfall"
+            value={results ? formatCurrency(results.expectedShortfall) : '-'}
+            subtext={results && (results.shortfallRate > 0
+              ? `Avg. unfunded spending and event costs in the ${results.shortfallRate.toFixed(1)}% of paths that ran short`
+              : 'No path ran short of spending money')}
+            icon={AlertTriangle}
+            colorClass="text-rose-600 bg-rose-500"
+          />
+          <KPICard
+            title="Years With Spending Cuts"
+            value={results ? `${results.medianCutYears} yrs` : '-'}
+            subtext="Median retired years spending below the full target"
+            icon={Scissors}
+            colorClass="text-amber-600 bg-amber-500"
+          />
+          <KPICard
+            title="Worst-Decade Drawdown"
+            value={results ? `−${results.worstDecadeDrawdown.toFixed(0)}%` : '-'}
+            subtext={`Median of each path's largest fall within ${DRAWDOWN_YEARS} years`}
+            icon={TrendingDown}
+            colorClass="text-slate-600 bg-slate-500"
+          />
+          {isSimulating && (
+            <div className="absolute inset-x-0 bottom-0">
+              <div className="absolute right-6 bottom-2 text-[10px] font-medium text-slate-400 flex items-center gap-1">
+                <RefreshCw size={10} className="animate-spin" />
+                Simulating {params.simulations.toLocaleString('en-US')} paths… {Math.round(progress * 100)}%
+              </div>
+              <div className="h-0.5 bg-indigo-500 transition-all duration-200" style={{ width: `${progress * 100}%` }}></div>
+            </div>
+          )}
         </div>
 
         {/* Scrollable Charts Container */}
-        <div className="flex-1 overflow-y-auto bg-slate-50 p-6 md:p-8 space-y-6">
+        <div className="flex-1 overflow-y-auto bg-slate-50 p-6 md:p-8 space-y-6 print:overflow-visible print:bg-white">
 
           {/* Chart 1: Total Wealth Probability */}
-          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 flex flex-col h-[400px]">
+          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 flex flex-col h-[400px] break-inside-avoid">
              <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
               <div>
                 <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2">
@@ -827,26 +2390,75 @@ export default function App() {
                    Wealth Probability
                 </h2>
                 <p className="text-sm text-slate-500">
-                  Range of outcomes (Real $)
+                  Range of outcomes ({dollarView === 'nominal' ? 'Nominal' : 'Real'} $){results && ` · ${describeReturnModel(results.params)}`}
                 </p>
               </div>
+              <div className="flex p-0.5 bg-slate-100 rounded-md">
+                {[['real', "Today's $"], ['nominal', 'Nominal $']].map(([view, label]) => (
+                  <button
+                    key={view}
+                    onClick={() => setDollarView(view)}
+                    className={`text-xs font-semibold px-2 py-0.5 rounded transition-all ${
+                      dollarView === view
+                        ? 'bg-white text-indigo-600 shadow-sm'
+                        : 'text-slate-500 hover:text-slate-700'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
               <div className="flex flex-wrap items-center gap-3 sm:gap-4 text-xs font-medium">
                  <div className="flex items-center gap-1 whitespace-nowrap">
-                    <span className="w-3 h-3 rounded-full bg-red-100 border border-red-400"></span> 20th %
+                    <span className="w-3 h-3 rounded-full bg-red-100 border border-red-400"></span> {bandLow}th %
                  </div>
                  <div className="flex items-center gap-1 whitespace-nowrap">
                     <span className="w-3 h-3 rounded-full bg-indigo-500"></span> Median
                  </div>
                  <div className="flex items-center gap-1 whitespace-nowrap">
-                    <span className="w-3 h-3 rounded-full bg-emerald-100 border border-emerald-400"></span> 80th %
+                    <span className="w-3 h-3 rounded-full bg-emerald-100 border border-emerald-400"></span> {100 - bandLow}th %
                  </div>
+                 {pathRank !== MEDIAN_RANK && (
+                   <div className="flex items-center gap-1 whitespace-nowrap">
+                      <span className="w-3 h-3 rounded-full bg-teal-500"></span> {pathLabel} path
+                   </div>
+                 )}
+                 <button
+                   onClick={() => setShowPaths(!showPaths)}
+                   className={`flex items-center gap-1 whitespace-nowrap print:hidden ${showPaths ? 'text-indigo-600' : 'text-slate-400 hover:text-slate-600'}`}
+                   title="Overlay a sample of individual paths"
+                 >
+                    <span className="w-3 h-0.5 bg-slate-400"></span> Paths
+                 </button>
+                 {compared.map((scenario, index) => (
+                   <div key={scenario.id} className="flex items-center gap-1 whitespace-nowrap">
+                      <span className="w-3 h-3 rounded-full" style={{ backgroundColor: SCENARIO_COLORS[index] }}></span> {scenario.name}
+                      {scenario.error && <span className="text-red-600" title={scenario.error}>(failed)</span>}
+                   </div>
+                 ))}
+                 {stressed.map((stress, index) => (
+                   <div key={stress.id} className="flex items-center gap-1 whitespace-nowrap">
+                      <Zap size={12} style={{ color: STRESS_COLORS[index] }} /> {stress.name}
+                      {stress.error && <span className="text-red-600" title={stress.error}>(failed)</span>}
+                   </div>
+                 ))}
               </div>
             </div>
 
             <div className="flex-1 w-full min-h-0">
                {results && (
                   <ResponsiveContainer width="100%" height="100%">
-                    <AreaChart data={results.probabilityData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                    <AreaChart
+                      data={withPaths(
+                        withComparison(
+                          withComparison(dollarView === 'nominal' ? results.nominalProbabilityData : results.probabilityData, compared, dollarView, `p${bandLow}`),
+                          stressed, dollarView, `p${bandLow}`, 'stress',
+                        ),
+                        showPaths ? results.samplePaths : [],
+                        pathRank === MEDIAN_RANK ? [] : (dollarView === 'nominal' ? shownPath.nominalData : shownPath.data),
+                        dollarView,
+                        results.params.currentAge,
+                      )} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
                       <defs>
                         <linearGradient id="colorP90" x1="0" y1="0" x2="0" y2="1">
                           <stop offset="5%" stopColor="#10b981" stopOpacity={0.1}/>
@@ -871,48 +2483,289 @@ export default function App() {
                       />
                       <Tooltip
                         formatter={(value) => formatCurrency(value)}
-                        labelFormatter={(label) => `Age ${label}`}
+                        labelFormatter={(label) => `Age ${householdAges(results.params, label)}`}
                         contentStyle={{ borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' }}
                       />
                       <ReferenceArea x1={params.retirementAge} x2={params.retirementAge + 0.5} stroke="none" fill="#6366f1" fillOpacity={0.2} />
-                      <Area type="monotone" dataKey="p20" stroke="#f87171" fill="url(#colorP10)" strokeWidth={1} strokeDasharray="4 4" name="Pessimistic (20th)"/>
+                      {results.params.lifeEvents.map((event, index) => (
+                        event.type === 'recurring' ? (
+                          <ReferenceArea
+                            key={index}
+                            x1={event.age} x2={event.endAge}
+                            stroke="none" fill="#0ea5e9" fillOpacity={0.08}
+                            label={{ value: event.label, position: 'insideTop', fontSize: 10, fill: '#0369a1' }}
+                          />
+                        ) : (
+                          <ReferenceLine
+                            key={index}
+                            x={event.age}
+                            stroke={event.type === 'inflow' ? '#10b981' : '#f97316'}
+                            strokeDasharray="2 2"
+                            label={{ value: event.label, position: 'insideTopLeft', fontSize: 10, fill: '#475569' }}
+                          />
+                        )
+                      ))}
+                      {showPaths && results.samplePaths.map((sample, index) => (
+                        <Area
+                          key={`path${index}`}
+                          type="monotone" dataKey={`path${index}`}
+                          stroke="#64748b" strokeOpacity={0.2} strokeWidth={1} fill="none"
+                          tooltipType="none" isAnimationActive={false} dot={false} activeDot={false}
+                        />
+                      ))}
+                      <Area type="monotone" dataKey={`p${bandLow}`} stroke="#f87171" fill="url(#colorP10)" strokeWidth={1} strokeDasharray="4 4" name={`Pessimistic (${bandLow}th)`}/>
                       <Area type="monotone" dataKey="p50" stroke="#4f46e5" fill="none" strokeWidth={3} name="Median"/>
-                      <Area type="monotone" dataKey="p80" stroke="#34d399" fill="url(#colorP90)" strokeWidth={1} strokeDasharray="4 4" name="Optimistic (80th)"/>
+                      <Area type="monotone" dataKey={`p${100 - bandLow}`} stroke="#34d399" fill="url(#colorP90)" strokeWidth={1} strokeDasharray="4 4" name={`Optimistic (${100 - bandLow}th)`}/>
+                      {pathRank !== MEDIAN_RANK && (
+                        <Area type="monotone" dataKey="explored" stroke="#14b8a6" fill="none" strokeWidth={2} name={`${pathLabel} path`} />
+                      )}
+                      {compared.map((scenario, index) => (
+                        <React.Fragment key={scenario.id}>
+                          <Area type="monotone" dataKey={`scenario${index}p50`} stroke={SCENARIO_COLORS[index]} fill="none" strokeWidth={2} name={`${scenario.name} (Median)`} connectNulls />
+                          <Area type="monotone" dataKey={`scenario${index}low`} stroke={SCENARIO_COLORS[index]} fill="none" strokeWidth={1} strokeDasharray="4 4" name={`${scenario.name} (${bandLow}th)`} connectNulls />
+                        </React.Fragment>
+                      ))}
+                      {stressed.map((stress, index) => (
+                        <React.Fragment key={stress.id}>
+                          {stress.stress.type === 'shock' ? (
+                            <ReferenceLine x={stress.stress.startAge} stroke={STRESS_COLORS[index]} strokeDasharray="2 3" />
+                          ) : (
+                            <ReferenceArea
+                              x1={stress.stress.startAge} x2={stressAges(stress.stress).to}
+                              stroke="none" fill={STRESS_COLORS[index]} fillOpacity={0.06}
+                            />
+                          )}
+                          <Area type="monotone" dataKey={`stress${index}p50`} stroke={STRESS_COLORS[index]} fill="none" strokeWidth={2} name={`${stress.name} (Median)`} connectNulls />
+                          <Area type="monotone" dataKey={`stress${index}low`} stroke={STRESS_COLORS[index]} fill="none" strokeWidth={1} strokeDasharray="2 3" name={`${stress.name} (${bandLow}th)`} connectNulls />
+                        </React.Fragment>
+                      ))}
                     </AreaChart>
                   </ResponsiveContainer>
                )}
             </div>
           </div>
 
-          {/* Chart 2: Median Breakdown */}
-          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 flex flex-col h-[400px]">
+          {/* Stress Tests */}
+          {stressed.length > 0 && (
+            <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 print:hidden">
+              <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+                 <Zap size={20} className="text-indigo-600" />
+                 Stress Tests
+              </h2>
+              <p className="text-sm text-slate-500 mb-3">
+                The same random paths with each market sequence forced on them
+              </p>
+              <table className="w-full text-sm text-left">
+                <thead className="text-xs text-slate-500 uppercase border-b border-slate-200">
+                  <tr>
+                    <th className="px-4 py-2">Stress</th>
+                    <th className="px-4 py-2">Years</th>
+                    <th className="px-4 py-2 text-right">Success</th>
+                    <th className="px-4 py-2 text-right">Median Legacy</th>
+                    <th className="px-4 py-2 text-right">Safe Until Age</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="border-b border-slate-100">
+                    <td className="px-4 py-2 font-medium text-slate-700">
+                      <span className="inline-block w-2.5 h-2.5 rounded-full mr-2 bg-indigo-600"></span>
+                      No stress
+                    </td>
+                    <td className="px-4 py-2 text-slate-400">–</td>
+                    <td className="px-4 py-2 text-right font-mono">{results ? `${results.successRate.toFixed(1)}%` : '-'}</td>
+                    <td className="px-4 py-2 text-right">{results ? formatCurrency(results.medianEndWealth) : '-'}</td>
+                    <td className="px-4 py-2 text-right">{results ? results.survivalAge : '-'}</td>
+                  </tr>
+                  {stressed.map((stress, index) => {
+                    const { from, to } = stressAges(stress.stress);
+                    return (
+                      <tr key={stress.id} className="border-b border-slate-100">
+                        <td className="px-4 py-2 font-medium text-slate-700">
+                          <span className="inline-block w-2.5 h-2.5 rounded-full mr-2" style={{ backgroundColor: STRESS_COLORS[index] }}></span>
+                          {stress.name}
+                        </td>
+                        <td className="px-4 py-2 text-xs text-slate-500">{from === to ? `Age ${from}` : `Ages ${from}–${to}`}</td>
+                        {stress.results ? (
+                          <>
+                            <td className="px-4 py-2 text-right font-mono">
+                              {stress.results.successRate.toFixed(1)}%
+                              {results && (
+                                <span className={`ml-1 text-xs ${stress.results.successRate < results.successRate ? 'text-red-500' : 'text-slate-400'}`}>
+                                  ({formatSensitivity('success', stress.results.successRate - results.successRate)})
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-right">{formatCurrency(stress.results.medianEndWealth)}</td>
+                            <td className="px-4 py-2 text-right">{stress.results.survivalAge}</td>
+                          </>
+                        ) : stress.error ? (
+                          <td colSpan={3} className="px-4 py-2 text-right text-xs text-red-600" title={stress.error}>Failed: {stress.error}</td>
+                        ) : (
+                          <td colSpan={3} className="px-4 py-2 text-right text-xs text-slate-400">Simulating…</td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Scenario Comparison */}
+          {compared.length > 0 && (
+            <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 print:hidden">
+              <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2 mb-3">
+                 <Bookmark size={20} className="text-indigo-600" />
+                 Scenario Comparison
+              </h2>
+              <table className="w-full text-sm text-left">
+                <thead className="text-xs text-slate-500 uppercase border-b border-slate-200">
+                  <tr>
+                    <th className="px-4 py-2">Scenario</th>
+                    <th className="px-4 py-2 text-right">Success</th>
+                    <th className="px-4 py-2 text-right">Median Legacy</th>
+                    <th className="px-4 py-2 text-right">Safe Until Age</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[{ id: 'current', name: 'Current inputs', results, error: simulationError, color: '#4f46e5' },
+                    ...compared.map((scenario, index) => ({ ...scenario, color: SCENARIO_COLORS[index] }))].map((row) => (
+                    <tr key={row.id} className="border-b border-slate-100">
+                      <td className="px-4 py-2 font-medium text-slate-700">
+                        <span className="inline-block w-2.5 h-2.5 rounded-full mr-2" style={{ backgroundColor: row.color }}></span>
+                        {row.name}
+                      </td>
+                      {row.results ? (
+                        <>
+                          <td className="px-4 py-2 text-right font-mono">{row.results.successRate.toFixed(1)}%</td>
+                          <td className="px-4 py-2 text-right">{formatCurrency(row.results.medianEndWealth)}</td>
+                          <td className="px-4 py-2 text-right">{row.results.survivalAge}</td>
+                        </>
+                      ) : row.error ? (
+                        <td colSpan={3} className="px-4 py-2 text-right text-xs text-red-600" title={row.error}>Failed: {row.error}</td>
+                      ) : (
+                        <td colSpan={3} className="px-4 py-2 text-right text-xs text-slate-400">Simulating…</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Chart 2: Longevity Risk */}
+          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 flex flex-col h-[320px] print:hidden">
+            <div className="mb-4">
+              <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+                 <Clock size={20} className="text-indigo-600" />
+                 Outliving Your Money
+              </h2>
+              <p className="text-sm text-slate-500">
+                Share of all paths still alive, and alive with the portfolio exhausted, at each age
+              </p>
+            </div>
+            <div className="flex-1 w-full min-h-0">
+               {results && (
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={results.depletionData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                      <XAxis dataKey="age" stroke="#94a3b8" tick={{fontSize: 12}} />
+                      <YAxis stroke="#94a3b8" tick={{fontSize: 12}} domain={[0, 100]} tickFormatter={(v) => `${v}%`} />
+                      <Tooltip
+                        formatter={(value) => formatPercent(value)}
+                        labelFormatter={(label) => `Age ${householdAges(results.params, label)}`}
+                        contentStyle={{ borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' }}
+                      />
+                      <Legend wrapperStyle={{ fontSize: 12 }} />
+                      <Line type="stepAfter" dataKey="alive" stroke="#94a3b8" strokeWidth={2} dot={false} name="Still alive" />
+                      <Line type="stepAfter" dataKey="depleted" stroke="#ef4444" strokeWidth={2} dot={false} name="Alive, money run out" />
+                    </LineChart>
+                  </ResponsiveContainer>
+               )}
+            </div>
+          </div>
+
+          {/* Chart 3: Path Breakdown (median unless another path is picked) */}
+          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 flex flex-col h-[400px] break-inside-avoid">
             <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
               <div>
                 <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2">
                    <Layers size={20} className="text-indigo-600" />
-                   Median Portfolio Composition
+                   {pathLabel} Portfolio Composition
                 </h2>
                 <p className="text-sm text-slate-500">
-                  Account breakdown in the Median (50th percentile) scenario
+                  {compositionView === 'assets' ? 'Asset class' : 'Account'} breakdown in the {pathRank === MEDIAN_RANK ? 'Median (50th percentile)' : pathLabel.toLowerCase()} scenario by final wealth ({dollarView === 'nominal' ? 'Nominal' : 'Real'} $)
                 </p>
               </div>
-              <div className="flex flex-wrap items-center gap-3 sm:gap-4 text-xs font-medium">
-                  <div className="flex items-center gap-1 whitespace-nowrap">
-                      <span className="w-3 h-3 rounded-sm bg-indigo-500"></span> Taxable
-                  </div>
-                  <div className="flex items-center gap-1 whitespace-nowrap">
-                      <span className="w-3 h-3 rounded-sm bg-emerald-500"></span> Pre-Tax
-                  </div>
-                  <div className="flex items-center gap-1 whitespace-nowrap">
-                      <span className="w-3 h-3 rounded-sm bg-orange-400"></span> Post-Tax
+              <div className="flex flex-col items-start sm:items-end gap-2">
+                <div className="flex items-center gap-2 print:hidden">
+                  <span className="text-xs text-slate-500">Path</span>
+                  <div className="flex p-0.5 bg-slate-100 rounded-md">
+                    {PATH_RANKS.map(({ rank, label }) => (
+                      <button
+                        key={rank}
+                        onClick={() => setPathRank(rank)}
+                        className={`text-xs font-semibold px-2 py-0.5 rounded transition-all ${
+                          pathRank === rank
+                            ? 'bg-white text-indigo-600 shadow-sm'
+                            : 'text-slate-500 hover:text-slate-700'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
                   </div>
+                  <input
+                    type="number"
+                    value={Number(pathRank.toFixed(4))}
+                    min={0} max={100} step="any"
+                    onChange={(e) => setPathRank(Math.min(100, Math.max(0, Number(e.target.value) || 0)))}
+                    title="Percentile of final wealth (0 = worst path); fractions pick paths in between"
+                    className="w-16 text-xs border border-slate-200 rounded-md px-1.5 py-0.5 text-slate-700 text-right focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                  <span className="text-xs text-slate-500">or #</span>
+                  <input
+                    type="number"
+                    value={pathPosition(pathCount, pathRank) + 1}
+                    min={1} max={pathCount} step={1}
+                    onChange={(e) => {
+                      const place = Math.min(pathCount, Math.max(1, Math.round(Number(e.target.value) || 1)));
+                      setPathRank(positionRank(pathCount, place - 1));
+                    }}
+                    title={`Place from the worst path (1 = worst of ${pathCount.toLocaleString('en-US')})`}
+                    className="w-16 text-xs border border-slate-200 rounded-md px-1.5 py-0.5 text-slate-700 text-right focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                  <span className="text-xs text-slate-500">worst</span>
+                </div>
+                <div className="flex p-0.5 bg-slate-100 rounded-md">
+                  {[['accounts', 'Accounts'], ['assets', 'Asset Classes']].map(([view, label]) => (
+                    <button
+                      key={view}
+                      onClick={() => setCompositionView(view)}
+                      className={`text-xs font-semibold px-2 py-0.5 rounded transition-all ${
+                        compositionView === view
+                          ? 'bg-white text-indigo-600 shadow-sm'
+                          : 'text-slate-500 hover:text-slate-700'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex flex-wrap items-center gap-3 sm:gap-4 text-xs font-medium">
+                  {COMPOSITION_SERIES[compositionView].map(({ key, label, color }) => (
+                    <div key={key} className="flex items-center gap-1 whitespace-nowrap">
+                      <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: color }}></span> {label}
+                    </div>
+                  ))}
+                </div>
               </div>
             </div>
 
             <div className="flex-1 w-full min-h-0">
                {results && (
                   <ResponsiveContainer width="100%" height="100%">
-                    <AreaChart data={results.medianData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                    <AreaChart data={dollarView === 'nominal' ? shownPath.nominalData : shownPath.data} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
                       <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
                       <XAxis
                         dataKey="age"
@@ -927,29 +2780,224 @@ export default function App() {
                       />
                       <Tooltip
                         formatter={(value) => formatCurrency(value)}
-                        labelFormatter={(label) => `Age ${label}`}
+                        labelFormatter={(label) => `Age ${householdAges(results.params, label)}`}
                         contentStyle={{ borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' }}
                       />
                       <ReferenceArea x1={params.retirementAge} x2={params.retirementAge + 0.5} stroke="none" fill="#6366f1" fillOpacity={0.2} />
 
-                      <Area type="monotone" dataKey="taxable" stackId="1" stroke="#6366f1" fill="#6366f1" fillOpacity={0.8} name="Taxable" />
-                      <Area type="monotone" dataKey="pretax" stackId="1" stroke="#10b981" fill="#10b981" fillOpacity={0.8} name="Pre-Tax" />
-                      <Area type="monotone" dataKey="roth" stackId="1" stroke="#fb923c" fill="#fb923c" fillOpacity={0.8} name="Post-Tax" />
+                      {COMPOSITION_SERIES[compositionView].map(({ key, label, color }) => (
+                        <Area key={key} type="monotone" dataKey={key} stackId="1" stroke={color} fill={color} fillOpacity={0.8} name={label} />
+                      ))}
                     </AreaChart>
                   </ResponsiveContainer>
                )}
             </div>
           </div>
 
+          {/* Goal Seek */}
+          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 print:hidden">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-4">
+              <div>
+                <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+                   <Crosshair size={20} className="text-indigo-600" />
+                   Goal Seek
+                </h2>
+                <p className="text-sm text-slate-500">
+                  Search one input for the value that just reaches a success probability, keeping everything else as set
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <select
+                  value={goalTarget.id}
+                  onChange={(e) => setGoalField(e.target.value)}
+                  className="text-xs border border-slate-200 rounded-md px-1.5 py-1 text-slate-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {goalTargets.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+                </select>
+                <span className="text-xs text-slate-500">at</span>
+                <input
+                  type="number"
+                  value={goalSuccess}
+                  min={1} max={99.9} step={0.5}
+                  onChange={(e) => setGoalSuccess(Math.min(99.9, Math.max(1, Number(e.target.value) || 0)))}
+                  className="w-16 text-xs border border-slate-200 rounded-md px-1.5 py-1 text-slate-700 text-right focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+                <span className="text-xs text-slate-500">% success</span>
+                <button
+                  onClick={() => goalSeek.run(params, goalTarget.id, goalSuccess)}
+                  disabled={goalSeek.isRunning}
+                  className="text-xs font-semibold px-3 py-1 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-slate-300"
+                >
+                  {goalSeek.isRunning ? `Solving… ${Math.round(goalSeek.progress * 100)}%` : 'Solve'}
+                </button>
+              </div>
+            </div>
+
+            {goalSeek.error && (
+              <p className="text-xs text-red-600 mb-2 flex items-center gap-1">
+                <AlertTriangle size={12} /> The search failed: {goalSeek.error}
+              </p>
+            )}
+
+            {goalResult ? (
+              <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 bg-slate-50 rounded-lg p-3">
+                {goalResult.value !== null ? (
+                  <div>
+                    <div className="text-sm text-slate-600">
+                      {GOAL_SEEK_TARGETS.find(t => t.id === goalResult.field).label} for {goalResult.targetSuccess}% success:{' '}
+                      <span className="text-lg font-bold text-slate-800">{formatGoalValue(goalResult.field, goalResult.value)}</span>
+                    </div>
+                    <div className="text-xs text-slate-500 mt-1">
+                      95% range {goalResult.low === null ? 'out of range' : formatGoalValue(goalResult.field, goalResult.low)}
+                      {' – '}{goalResult.high === null ? 'out of range' : formatGoalValue(goalResult.field, goalResult.high)}
+                      {' '}(±{goalResult.margin.toFixed(1)} pts sampling error at {goalResult.simulations.toLocaleString('en-US')} paths)
+                      · {goalResult.successRate.toFixed(1)}% success at this value, {goalResult.currentSuccess.toFixed(1)}% at the current {formatGoalValue(goalResult.field, goalResult.current)}
+                    </div>
+                  </div>
+                ) : (
+                  <div className="text-sm text-slate-600">
+                    {goalResult.targetSuccess}% success can't be reached by changing this input alone
+                    ({goalResult.currentSuccess.toFixed(1)}% at the current {formatGoalValue(goalResult.field, goalResult.current)}).
+                  </div>
+                )}
+                <div className="flex items-center gap-3 flex-none">
+                  {goalResult.params !== params && <span className="text-[11px] text-amber-600">inputs have changed since this ran</span>}
+                  {goalResult.value !== null && goalResult.value !== params[goalResult.field] && (
+                    <button
+                      onClick={() => updateParam(goalResult.field, goalResult.value)}
+                      className="text-xs font-semibold px-3 py-1 rounded-md border border-indigo-200 text-indigo-600 hover:bg-indigo-50"
+                    >
+                      Apply
+                    </button>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <div className="text-xs text-slate-400 py-4 text-center">
+                Every run uses the same seed and paths, so the answer doesn't move between runs; the range reflects the sampling error of {params.simulations.toLocaleString('en-US')} paths.
+              </div>
+            )}
+          </div>
+
+          {/* Sensitivity */}
+          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 print:hidden">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-4">
+              <div>
+                <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+                   <SlidersHorizontal size={20} className="text-indigo-600" />
+                   Sensitivity
+                </h2>
+                <p className="text-sm text-slate-500">
+                  Change in {sensitivityMetric === 'success' ? 'success probability' : 'median legacy'} with each input moved down and up by {sensitivityStep}%. Click a bar to apply that change.
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="flex p-0.5 bg-slate-100 rounded-md">
+                  {SENSITIVITY_METRICS.map(({ id, label }) => (
+                    <button
+                      key={id}
+                      onClick={() => setSensitivityMetric(id)}
+                      className={`text-xs font-semibold px-2 py-0.5 rounded transition-all ${
+                        sensitivityMetric === id
+                          ? 'bg-white text-indigo-600 shadow-sm'
+                          : 'text-slate-500 hover:text-slate-700'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <select
+                  value={sensitivityStep}
+                  onChange={(e) => setSensitivityStep(Number(e.target.value))}
+                  className="text-xs border border-slate-200 rounded-md px-1.5 py-1 text-slate-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {SENSITIVITY_STEPS.map(step => <option key={step} value={step}>±{step}%</option>)}
+                </select>
+                <button
+                  onClick={() => sensitivity.run(params, sensitivityStep)}
+                  disabled={sensitivity.isRunning}
+                  className="text-xs font-semibold px-3 py-1 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-slate-300"
+                >
+                  {sensitivity.isRunning ? `Running… ${Math.round(sensitivity.progress * 100)}%` : sensitivity.results ? 'Rerun' : 'Run'}
+                </button>
+              </div>
+            </div>
+
+            {sensitivity.error && (
+              <p className="text-xs text-red-600 mb-2 flex items-center gap-1">
+                <AlertTriangle size={12} /> The analysis failed: {sensitivity.error}
+              </p>
+            )}
+
+            {sensitivity.results ? (
+              <>
+                <p className="text-[11px] text-slate-400 mb-2">
+                  Baseline {sensitivity.results.baseline.successRate.toFixed(1)}% success, {formatCurrency(sensitivity.results.baseline.medianEndWealth)} median legacy
+                  ({sensitivity.results.simulations.toLocaleString('en-US')} paths per run, ±{sensitivity.results.step}% steps)
+                  {sensitivity.results.params !== params && <span className="text-amber-600"> · inputs have changed since this ran</span>}
+                </p>
+                {tornado.length > 0 ? (
+                  <div className="h-[360px]">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart
+                        data={tornado}
+                        layout="vertical"
+                        margin={{ top: 0, right: 30, left: 0, bottom: 0 }}
+                      >
+                        <CartesianGrid strokeDasharray="3 3" horizontal={false} stroke="#e2e8f0" />
+                        <XAxis
+                          type="number"
+                          stroke="#94a3b8"
+                          tick={{fontSize: 12}}
+                          tickFormatter={(v) => (sensitivityMetric === 'success' ? `${v}` : `${v < 0 ? '−' : ''}${formatAxis(Math.abs(v))}`)}
+                        />
+                        <YAxis type="category" dataKey="label" width={170} stroke="#94a3b8" tick={{fontSize: 11}} interval={0} />
+                        <ReferenceLine x={0} stroke="#94a3b8" />
+                        <Tooltip
+                          formatter={(value, name, item) => {
+                            const move = name === 'down' ? item.payload.downMove : item.payload.upMove;
+                            const label = move ? `${name === 'down' ? 'Down' : 'Up'} to ${+move.value.toFixed(4)}` : `Can't move ${name}`;
+                            return [formatSensitivity(sensitivityMetric, value), label];
+                          }}
+                          contentStyle={{ borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' }}
+                        />
+                        <Legend wrapperStyle={{ fontSize: 12 }} formatter={(name) => `${name === 'down' ? '−' : '+'}${sensitivity.results.step}%`} />
+                        <Bar
+                          dataKey="down"
+                          fill="#f43f5e"
+                          cursor="pointer"
+                          onClick={(bar) => applyMove(bar.payload.downMove)}
+                        />
+                        <Bar
+                          dataKey="up"
+                          fill="#6366f1"
+                          cursor="pointer"
+                          onClick={(bar) => applyMove(bar.payload.upMove)}
+                        />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                ) : (
+                  <div className="text-xs text-slate-400 py-6 text-center">No input changed this outcome at ±{sensitivity.results.step}%.</div>
+                )}
+              </>
+            ) : (
+              <div className="text-xs text-slate-400 py-6 text-center">
+                Reruns the simulation about twice per input in use, so it runs when you ask.
+              </div>
+            )}
+          </div>
+
           {/* New Section: Detailed Table */}
-          <div className="bg-white rounded-2xl shadow-sm border border-slate-200">
+          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 print:hidden">
              <div
                className="p-4 flex items-center justify-between cursor-pointer hover:bg-slate-50 transition-colors"
                onClick={() => setShowTable(!showTable)}
              >
                 <div className="flex items-center gap-2">
                    <TableIcon size={20} className="text-indigo-600" />
-                   <h2 className="text-lg font-bold text-slate-800">Yearly Breakdown (Median Case)</h2>
+                   <h2 className="text-lg font-bold text-slate-800">Yearly Breakdown ({pathLabel} Case)</h2>
                 </div>
                 {showTable ? <ChevronUp size={20} className="text-slate-400"/> : <ChevronDown size={20} className="text-slate-400"/>}
              </div>
@@ -963,14 +3011,38 @@ export default function App() {
                             <th className="px-6 py-3 bg-slate-50">Portfolio (End)</th>
                             <th className="px-6 py-3 bg-slate-50">Change</th>
                             <th className="px-6 py-3 bg-slate-50">Market Return</th>
-                            <th className="px-6 py-3 text-right bg-slate-50">Actual Spend</th>
-                            <th className="px-6 py-3 text-right bg-slate-50">Fixed Income</th>
+                            <th className="px-6 py-3 text-right bg-slate-50">Spend / Saved</th>
+                            <th className="px-6 py-3 text-right bg-slate-50">Essential</th>
+                            <th className="px-6 py-3 text-right bg-slate-50">Discretionary</th>
+                            {showHealthcare && (
+                              <th className="px-6 py-3 text-right bg-slate-50">Healthcare</th>
+                            )}
+                            <th className="px-6 py-3 text-right bg-slate-50">Withdrawal</th>
+                            {results.params.rothConversion !== 'none' && (
+                              <th className="px-6 py-3 text-right bg-slate-50">Roth Conv.</th>
+                            )}
+                            {results.params.mandatoryWithdrawals !== 'none' && (
+                              <th className="px-6 py-3 text-right bg-slate-50">Mandatory</th>
+                            )}
+                            <th className="px-6 py-3 text-right bg-slate-50">Taxes</th>
+                            {results.params.incomeStreams.map((stream, index) => (
+                              <th key={index} className="px-6 py-3 text-right bg-slate-50">{stream.label}</th>
+                            ))}
+                            {results.params.bridgeIncome > 0 && (
+                              <th className="px-6 py-3 text-right bg-slate-50">Bridge</th>
+                            )}
                         </tr>
                     </thead>
                     <tbody>
-                        {results.tableData.map((row) => (
-                            <tr key={row.age} className={`border-b border-slate-100 hover:bg-slate-50 ${row.isRetired ? 'bg-indigo-50/30' : ''}`}>
-                                <td className="px-6 py-3 font-medium text-slate-900">{row.age}</td>
+                        {shownPath.tableData.map((row) => (
+                          <React.Fragment key={row.age}>
+                            <tr className={`border-b border-slate-100 hover:bg-slate-50 ${row.isRetired ? 'bg-indigo-50/30' : ''}`}>
+                                <td className="px-6 py-3 font-medium text-slate-900">
+                                  {householdAges(results.params, row.age)}
+                                  {results.params.household && !(row.primaryAlive && row.partnerAlive) && (
+                                    <span className="ml-1 text-[10px] font-normal text-slate-400">survivor</span>
+                                  )}
+                                </td>
                                 <td className="px-6 py-3 font-bold text-slate-700">{formatFullCurrency(row.endBalance)}</td>
                                 <td className={`px-6 py-3 ${row.change >= 0 ? 'text-emerald-600' : 'text-red-500'}`}>
                                     {row.change >= 0 ? '+' : ''}{formatCurrency(row.change)}
@@ -979,12 +3051,102 @@ export default function App() {
                                     {row.returnPct.toFixed(1)}%
                                 </td>
                                 <td className="px-6 py-3 text-right text-slate-500">
-                                    {row.isRetired ? formatCurrency(row.spendingNeed) : '-'}
+                                    {row.isRetired ? formatCurrency(row.spendingNeed) : (
+                                      row.contributions > 0
+                                        ? <span className="text-emerald-600">+{formatCurrency(row.contributions)}</span>
+                                        : '-'
+                                    )}
                                 </td>
                                 <td className="px-6 py-3 text-right text-slate-500">
-                                    {row.fixedIncome > 0 ? formatCurrency(row.fixedIncome) : '-'}
+                                    {row.isRetired ? formatCurrency(row.essential) : '-'}
                                 </td>
+                                <td className="px-6 py-3 text-right text-slate-500">
+                                    {row.isRetired ? (
+                                      <>
+                                        {formatCurrency(row.discretionary)}
+                                        {spendingPhaseAt(results.params, row.age) && (
+                                          <span className="ml-1 text-[10px] text-slate-400">{spendingPhaseAt(results.params, row.age).label}</span>
+                                        )}
+                                      </>
+                                    ) : '-'}
+                                </td>
+                                {showHealthcare && (
+                                  <td className="px-6 py-3 text-right text-slate-500">
+                                      {row.healthcare > 0 ? (
+                                        <>
+                                          {formatCurrency(row.healthcare)}
+                                          {row.longTermCare > 0 && (
+                                            <span className="ml-1 text-[10px] font-semibold text-rose-600" title={`Includes ${formatCurrency(row.longTermCare)} of long-term care`}>LTC</span>
+                                          )}
+                                        </>
+                                      ) : '-'}
+                                  </td>
+                                )}
+                                <td className="px-6 py-3 text-right text-slate-500">
+                                    {row.isRetired ? (
+                                      <>
+                                        {formatCurrency(row.withdrawal)}
+                                        <span className="ml-1 text-[10px] text-slate-400">{formatPercent(row.withdrawalRate)}</span>
+                                      </>
+                                    ) : '-'}
+                                </td>
+                                {results.params.rothConversion !== 'none' && (
+                                  <td className="px-6 py-3 text-right text-slate-500">
+                                      {row.conversion > 0 ? formatCurrency(row.conversion) : '-'}
+                                  </td>
+                                )}
+                                {results.params.mandatoryWithdrawals !== 'none' && (
+                                  <td className="px-6 py-3 text-right text-slate-500">
+                                      {row.mandatory > 0 ? (
+                                        <>
+                                          {formatCurrency(row.mandatory)}
+                                          {row.mandatoryBinding && (
+                                            <span
+                                              className="ml-1 text-[10px] font-semibold text-amber-600"
+                                              title="The minimum exceeded what spending needed; the excess was reinvested in Taxable"
+                                            >
+                                              binding
+                                            </span>
+                                          )}
+                                        </>
+                                      ) : '-'}
+                                  </td>
+                                )}
+                                <td className="px-6 py-3 text-right text-slate-500">
+                                    {row.tax > 0 ? (
+                                      <>
+                                        {formatCurrency(row.tax)}
+                                        <span className="ml-1 text-[10px] text-slate-400">{formatPercent(row.effectiveTaxRate)}</span>
+                                      </>
+                                    ) : '-'}
+                                </td>
+                                {row.incomeStreams.map((amount, index) => (
+                                  <td key={index} className="px-6 py-3 text-right text-slate-500">
+                                      {amount > 0 ? formatCurrency(amount) : '-'}
+                                  </td>
+                                ))}
+                                {results.params.bridgeIncome > 0 && (
+                                  <td className="px-6 py-3 text-right text-slate-500">
+                                      {row.bridgeIncome > 0 ? formatCurrency(row.bridgeIncome) : '-'}
+                                  </td>
+                                )}
                             </tr>
+                            {results.params.lifeEvents.filter((event) => isEventActive(event, row.age)).map((event, index) => (
+                              <tr key={index} className="border-b border-slate-100 bg-sky-50/50 text-xs">
+                                <td></td>
+                                <td colSpan={tableColumnCount - 1} className="px-6 py-1.5 text-slate-500">
+                                  <CalendarDays size={12} className="inline mr-1 text-sky-500" />
+                                  <span className="font-semibold text-slate-700">{event.label}</span>
+                                  <span className={`ml-2 font-mono ${event.type === 'inflow' ? 'text-emerald-600' : 'text-red-500'}`}>
+                                    {eventAmount(event) >= 0 ? '+' : ''}{formatCurrency(eventAmount(event))}
+                                  </span>
+                                  <span className="ml-2 text-slate-400">
+                                    {event.type === 'inflow' ? 'into' : 'from'} {ACCOUNT_OPTIONS.find(a => a.id === event.account)?.label}
+                                  </span>
+                                </td>
+                              </tr>
+                            ))}
+                          </React.Fragment>
                         ))}
                     </tbody>
                  </table>
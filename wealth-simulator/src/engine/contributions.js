@@ -0,0 +1,117 @@
+import { memberAge } from './household.js';
+
+/**
+ * CONTRIBUTIONS & BRIDGE INCOME
+ *
+ * Yearly savings into each account while working full time, either as fixed
+ * amounts growing at a real rate or as a share of a salary that grows with
+ * your career. Optional caps limit Pre-Tax and Roth contributions (e.g. 401k
+ * and IRA limits); anything above a cap is saved in Taxable instead. Caps
+ * are in today's dollars when indexed; otherwise they're fixed in dollars,
+ * so the simulation applies them against each path's price level.
+ *
+ * In household mode the partner contributes fixed amounts to their own
+ * Pre-Tax and Roth until their own retirement age, with their own caps. The
+ * amounts grow like the primary's savings: by Growth / Year with fixed
+ * amounts, or by the real raise when saving a % of salary.
+ *
+ * Bridge income is part-time pay between leaving full-time work
+ * (retirementAge) and bridgeEndAge. It is taxed like fixed income and reduces
+ * what the portfolio has to provide.
+ */
+
+export const CONTRIBUTION_MODES = [
+  { id: 'fixed', label: 'Fixed amounts' },
+  { id: 'salary', label: '% of salary' },
+];
+
+// Growth factor `yearsFromNow` years out at a real rate in percent
+const grown = (rate, yearsFromNow) => Math.pow(1 + rate / 100, yearsFromNow);
+
+// Salary (today's $) in a given year; the first simulated year earns `salary`
+export const salaryAt = (params, year) => params.salary * grown(params.salaryGrowth, Math.max(0, year - 1));
+
+// Uncapped contributions for a working year
+const plannedContributions = (params, year) => {
+  if (params.contributionMode === 'salary') {
+    const salary = salaryAt(params, year);
+    return {
+      taxable: salary * (params.taxableContributionPct / 100),
+      pretax: salary * (params.preTaxContributionPct / 100),
+      roth: salary * (params.rothContributionPct / 100),
+    };
+  }
+  const growth = grown(params.contributionGrowth, Math.max(0, year - 1));
+  return {
+    taxable: params.taxableContribution * growth,
+    pretax: params.preTaxContribution * growth,
+    roth: params.rothContribution * growth,
+  };
+};
+
+// Caps that the schedule applies (indexed ones); the rest wait for a price level
+const capsInSchedule = (params) => params.contributionCaps && params.contributionCapsIndexed;
+
+/**
+ * Cap Pre-Tax and Roth contributions; the overflow goes to Taxable.
+ *
+ * @param {object} params
+ * @param {{ taxable, pretax, roth }} amounts  Contributions (real $)
+ * @param {number} [capScale]  Real value of a cap dollar (1 / price level for caps fixed in dollars)
+ */
+export const capContributions = (params, amounts, capScale = 1) => {
+  const pretax = Math.min(amounts.pretax, Math.max(0, params.preTaxContributionCap) * capScale);
+  const roth = Math.min(amounts.roth, Math.max(0, params.rothContributionCap) * capScale);
+  return {
+    taxable: amounts.taxable + (amounts.pretax - pretax) + (amounts.roth - roth),
+    pretax,
+    roth,
+  };
+};
+
+// Contributions for a working year after indexed caps
+export const contributionsFor = (params, year) => {
+  const planned = plannedContributions(params, year);
+  return capsInSchedule(params) ? capContributions(params, planned) : planned;
+};
+
+export const isBridgeYear = (params, age) => age >= params.retirementAge && age < params.bridgeEndAge;
+
+// Partner's contributions for one of their working years (after indexed caps)
+const partnerContributionsFor = (params, year) => {
+  const rate = params.contributionMode === 'salary' ? params.salaryGrowth : params.contributionGrowth;
+  const growth = grown(rate, Math.max(0, year - 1));
+  const planned = {
+    taxable: 0,
+    pretax: params.partnerPreTaxContribution * growth,
+    roth: params.partnerRothContribution * growth,
+  };
+  return capsInSchedule(params) ? capContributions(params, planned) : planned;
+};
+
+const NONE = { taxable: 0, pretax: 0, roth: 0 };
+
+// Contributions and bridge income at every age from `firstAge` to `lastAge`,
+// indexed by `age - firstAge`. Zero outside their phase. The partner's are
+// kept apart so they can stop if the partner dies.
+export const contributionSchedule = (params, firstAge, lastAge) => {
+  const schedule = { taxable: [], pretax: [], roth: [], partner: { taxable: [], pretax: [], roth: [] }, bridgeIncome: [] };
+  for (let age = firstAge; age <= lastAge; age++) {
+    const year = age - firstAge;
+    const working = year > 0 && age < params.retirementAge;
+    const amounts = working ? contributionsFor(params, year) : NONE;
+    schedule.taxable.push(amounts.taxable);
+    schedule.pretax.push(amounts.pretax);
+    schedule.roth.push(amounts.roth);
+
+    const partnerWorking = params.household && year > 0
+      && memberAge(params, 'partner', age) < params.partnerRetirementAge;
+    const partnerAmounts = partnerWorking ? partnerContributionsFor(params, year) : NONE;
+    schedule.partner.taxable.push(partnerAmounts.taxable);
+    schedule.partner.pretax.push(partnerAmounts.pretax);
+    schedule.partner.roth.push(partnerAmounts.roth);
+
+    schedule.bridgeIncome.push(isBridgeYear(params, age) ? params.bridgeIncome : 0);
+  }
+  return schedule;
+};
@@ -0,0 +1,120 @@
+/**
+ * HISTORICAL ANNUAL RETURNS (US, 1928-2023)
+ *
+ * Real (inflation-adjusted) total returns in %, derived from the nominal
+ * S&P 500 (incl. dividends), 10-year Treasury bond and 3-month T-bill series
+ * published by Aswath Damodaran (NYU Stern), deflated by December-to-December
+ * CPI-U inflation (also kept, in %).
+ *
+ * Row format: [year, stocks, bonds, bills, inflation]
+ */
+
+const ROWS = [
+  [1928,   45.26,    1.86,   4.12,  -1.0],
+  [1929,   -8.48,    3.99,   2.95,   0.2],
+  [1930,  -20.34,   11.21,  11.22,  -6.0],
+  [1931,  -37.94,    7.67,  13.05,  -9.5],
+  [1932,    1.85,   21.28,  12.68, -10.3],
+  [1933,   48.79,    1.05,   0.16,   0.8],
+  [1934,   -2.65,    6.36,  -1.20,   1.5],
+  [1935,   42.47,    1.43,  -2.75,   3.0],
+  [1936,   30.12,    3.57,  -1.21,   1.4],
+  [1937,  -37.16,   -1.48,  -2.55,   2.9],
+  [1938,   33.00,    7.21,   2.95,  -2.8],
+  [1939,   -1.10,    4.41,   0.05,   0.0],
+  [1940,  -11.29,    4.67,  -0.66,   0.7],
+  [1941,  -20.63,  -10.85,  -8.89,   9.9],
+  [1942,    9.33,   -6.16,  -7.94,   9.0],
+  [1943,   21.42,   -0.50,  -2.54,   3.0],
+  [1944,   16.35,    0.27,  -1.88,   2.3],
+  [1945,   32.90,    1.57,  -1.78,   2.2],
+  [1946,  -22.46,  -12.68, -15.00,  18.1],
+  [1947,   -3.31,   -7.24,  -7.56,   8.8],
+  [1948,    2.62,   -1.02,  -1.92,   3.0],
+  [1949,   20.84,    6.91,   3.27,  -2.1],
+  [1950,   23.52,   -5.17,  -4.47,   5.9],
+  [1951,   16.68,   -5.94,  -4.26,   6.0],
+  [1952,   17.21,    1.46,   0.86,   0.8],
+  [1953,   -1.90,    3.42,   1.18,   0.7],
+  [1954,   53.64,    4.02,   1.67,  -0.7],
+  [1955,   32.07,   -1.73,   1.25,   0.4],
+  [1956,    4.31,   -5.11,  -0.43,   3.0],
+  [1957,  -12.98,    3.79,   0.32,   2.9],
+  [1958,   41.18,   -3.83,  -0.02,   1.8],
+  [1959,   10.19,   -4.28,   1.53,   1.7],
+  [1960,   -1.05,   10.10,   1.63,   1.4],
+  [1961,   25.76,    1.35,   1.56,   0.7],
+  [1962,   -9.98,    4.33,   1.46,   1.3],
+  [1963,   20.68,    0.08,   1.49,   1.6],
+  [1964,   15.27,    2.70,   2.49,   1.0],
+  [1965,   10.30,   -1.16,   1.96,   1.9],
+  [1966,  -13.01,   -0.57,   1.29,   3.5],
+  [1967,   20.19,   -4.45,   1.29,   3.0],
+  [1968,    5.84,   -1.37,   0.53,   4.7],
+  [1969,  -13.60,  -10.56,   0.34,   6.2],
+  [1970,   -1.93,   10.56,   1.03,   5.6],
+  [1971,   10.57,    6.28,   1.20,   3.3],
+  [1972,   14.85,   -0.56,   0.53,   3.4],
+  [1973,  -21.17,   -4.64,  -1.81,   8.7],
+  [1974,  -34.02,   -9.18,  -4.02,  12.3],
+  [1975,   28.16,   -3.08,  -0.85,   6.9],
+  [1976,   18.05,   10.56,   0.07,   4.9],
+  [1977,  -12.82,   -5.07,  -1.47,   6.7],
+  [1978,   -2.28,   -8.97,  -1.90,   9.0],
+  [1979,    4.61,  -11.15,  -2.97,  13.3],
+  [1980,   17.10,  -13.77,  -1.14,  12.5],
+  [1981,  -12.49,   -0.64,   4.96,   8.9],
+  [1982,   16.01,   27.95,   6.95,   3.8],
+  [1983,   17.86,   -0.58,   4.48,   3.8],
+  [1984,    2.17,    9.46,   5.50,   3.9],
+  [1985,   26.44,   21.11,   3.55,   3.8],
+  [1986,   17.20,   22.93,   4.89,   1.1],
+  [1987,    1.35,   -8.97,   1.26,   4.4],
+  [1988,   11.63,    3.66,   1.96,   4.4],
+  [1989,   25.70,   12.51,   3.36,   4.6],
+  [1990,   -8.63,    0.13,   1.37,   6.1],
+  [1991,   26.31,   11.54,   2.43,   3.1],
+  [1992,    4.46,    6.28,   0.50,   2.9],
+  [1993,    7.08,   11.21,   0.27,   2.7],
+  [1994,   -1.33,  -10.46,   1.26,   2.7],
+  [1995,   33.85,   20.47,   2.95,   2.5],
+  [1996,   18.76,   -1.81,   1.67,   3.3],
+  [1997,   30.88,    8.10,   3.29,   1.7],
+  [1998,   26.32,   13.11,   3.08,   1.6],
+  [1999,   17.71,  -10.66,   1.76,   2.7],
+  [2000,  -12.02,   12.82,   2.28,   3.4],
+  [2001,  -13.24,    3.91,   2.04,   1.6],
+  [2002,  -23.80,   12.42,  -0.72,   2.4],
+  [2003,   25.97,   -1.49,  -0.85,   1.9],
+  [2004,    7.20,    1.15,  -2.00,   3.3],
+  [2005,    1.38,   -0.51,  -0.38,   3.4],
+  [2006,   12.79,   -0.53,   2.13,   2.5],
+  [2007,    1.33,    5.87,   0.52,   4.1],
+  [2008,  -36.61,   19.98,   1.49,   0.1],
+  [2009,   22.63,  -13.46,  -2.49,   2.7],
+  [2010,   13.12,    6.86,  -1.35,   1.5],
+  [2011,   -0.87,   12.66,  -2.88,   3.0],
+  [2012,   13.95,    1.25,  -1.62,   1.7],
+  [2013,   30.20,  -10.44,  -1.41,   1.5],
+  [2014,   12.62,    9.87,  -0.74,   0.8],
+  [2015,    0.68,    0.58,  -0.49,   0.7],
+  [2016,    9.47,   -1.38,  -1.56,   2.1],
+  [2017,   19.11,    0.69,  -0.70,   2.1],
+  [2018,   -6.02,   -1.88,   0.46,   1.9],
+  [2019,   28.26,    7.17,  -0.73,   2.3],
+  [2020,   16.39,    9.79,  -1.29,   1.4],
+  [2021,   20.07,  -10.67,  -6.49,   7.0],
+  [2022,  -23.04,  -22.85,  -4.21,   6.5],
+  [2023,   21.91,    0.46,   1.62,   3.4],
+];
+
+export const HISTORICAL_RETURNS = ROWS.map(([year, stocks, bonds, bills, inflation]) => ({
+  year,
+  stocks: stocks / 100,
+  bonds: bonds / 100,
+  bills: bills / 100,
+  inflation: inflation / 100,
+}));
+
+export const HISTORICAL_FIRST_YEAR = ROWS[0][0];
+export const HISTORICAL_LAST_YEAR = ROWS[ROWS.length - 1][0];
@@ -0,0 +1,93 @@
+/**
+ * CSV EXPORT
+ *
+ * Plain-text tables of simulation results for spreadsheets. Amounts are
+ * written unrounded in the dollars the results are in (real unless the
+ * column says nominal).
+ */
+
+// Quote a cell if it contains a separator, quote or line break. Text that a
+// spreadsheet would read as a formula (scenario names, labels) gets a leading
+// apostrophe; numbers are left alone so negative amounts stay numeric.
+const cell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV from a header row and data rows (arrays of values)
+export const toCsv = (header, rows) => (
+  [header, ...rows].map(row => row.map(cell).join(',')).join('\r\n')
+);
+
+// Yearly Breakdown of the median path, one column per income stream
+export const yearlyBreakdownCsv = (results) => {
+  const streams = results.params.incomeStreams.map(stream => stream.label);
+  const columns = [
+    ['Age', 'age'],
+    ['Start balance', 'startBalance'],
+    ['End balance', 'endBalance'],
+    ['Change', 'change'],
+    ['Market return %', 'returnPct'],
+    ['Spending', 'spendingNeed'],
+    ['Essential', 'essential'],
+    ['Discretionary', 'discretionary'],
+    ['Healthcare', 'healthcare'],
+    ['Long-term care', 'longTermCare'],
+    ['Contributions', 'contributions'],
+    ['Withdrawal', 'withdrawal'],
+    ['Withdrawal rate %', 'withdrawalRate'],
+    ['Taxes', 'tax'],
+    ['Taxable income', 'taxableIncome'],
+    ['Effective tax rate %', 'effectiveTaxRate'],
+    ['Roth conversion', 'conversion'],
+    ['Mandatory withdrawal', 'mandatory'],
+    ['Mandatory binding', 'mandatoryBinding'],
+    ['Life events', 'lifeEvents'],
+    ['Fixed income', 'fixedIncome'],
+    ['Bridge income', 'bridgeIncome'],
+    ['Retired', 'isRetired'],
+  ];
+  if (results.params.household) columns.push(['Primary alive', 'primaryAlive'], ['Partner alive', 'partnerAlive']);
+
+  return toCsv(
+    [...columns.map(([label]) => label), ...streams],
+    results.tableData.map(row => [...columns.map(([, key]) => row[key]), ...row.incomeStreams]),
+  );
+};
+
+// Every band series by age: each key of each series becomes a column
+export const percentilesCsv = (results) => {
+  const series = [
+    ['real', results.probabilityData],
+    ['nominal', results.nominalProbabilityData],
+    ['share of paths', results.depletionData],
+  ];
+  const header = ['Age'];
+  const columns = [];
+  series.forEach(([name, data]) => {
+    const rowsByAge = new Map(data.map(row => [row.age, row]));
+    Object.keys(data[0] || {}).filter(key => key !== 'age').forEach((key) => {
+      header.push(`${key} (${name})`);
+      columns.push({ rowsByAge, key });
+    });
+  });
+
+  const ages = [...new Set(series.flatMap(([, data]) => data.map(row => row.age)))].sort((a, b) => a - b);
+  return toCsv(header, ages.map(age => [age, ...columns.map(({ rowsByAge, key }) => rowsByAge.get(age)?.[key])]));
+};
+
+// Total wealth of every path by age (a row per path; blank after its last death)
+export const pathTotalsCsv = (paths, firstAge) => {
+  const { totals, lengths, yearCount } = paths;
+  const header = ['Path'];
+  for (let i = 0; i < yearCount; i++) header.push(`Age ${firstAge + i}`);
+  const rows = [];
+  for (let sim = 0; sim < lengths.length; sim++) {
+    const row = [sim];
+    for (let i = 0; i < yearCount; i++) row.push(i < lengths[sim] ? totals[sim * yearCount + i] : '');
+    rows.push(row);
+  }
+  return toCsv(header, rows);
+};
@@ -0,0 +1,157 @@
+import { runSimulation } from './simulation.js';
+import { fieldSpec } from './scenarioSchema.js';
+import { lastAge } from './household.js';
+
+/**
+ * GOAL SEEK
+ *
+ * Searches one input for the value that just reaches a success probability:
+ * the earliest retirement age, the most spending or the least saving that
+ * still succeeds in `targetSuccess`% of paths.
+ *
+ * Every run uses the same seed and path count (common random numbers), so
+ * success is a fixed, nearly monotonic function of the input and a bisection
+ * settles on one answer instead of chasing noise.
+ *
+ * Runs use at most GOAL_SEEK_SIMULATIONS paths, since a search takes a few
+ * dozen of them. That leaves sampling error on the success rate itself
+ * (±1.96·√(p(1−p)/n) at 95%). The confidence range is the span of input
+ * values that meet the target moved down and up by that margin.
+ */
+
+// Most paths per run during a search
+export const GOAL_SEEK_SIMULATIONS = 2000;
+
+// Answers within this much of one another are the same answer
+const PRECISION = { age: 1, money: 100, percent: 0.5 };
+
+/**
+ * Inputs the solver can search. `more` says whether success rises ('up') or
+ * falls ('down') as the input grows; the answer is the smallest value that
+ * meets the target when it rises, the largest when it falls.
+ */
+export const GOAL_SEEK_TARGETS = [
+  { id: 'retirementAge', label: 'Earliest retirement age', kind: 'age', more: 'up' },
+  { id: 'discretionarySpending', label: 'Max discretionary spending', kind: 'money', more: 'down' },
+  { id: 'minSpending', label: 'Max essential spending', kind: 'money', more: 'down' },
+  { id: 'taxableContribution', label: 'Taxable contribution needed', kind: 'money', more: 'up', inUse: p => p.contributionMode !== 'salary' },
+  { id: 'taxableContributionPct', label: 'Taxable % of salary needed', kind: 'percent', more: 'up', inUse: p => p.contributionMode === 'salary' },
+];
+
+export const goalSeekTargets = (params) => GOAL_SEEK_TARGETS.filter(t => !t.inUse || t.inUse(params));
+
+// Half-width (percentage points) of the 95% interval on a success rate from `simulations` paths
+export const successMargin = (targetSuccess, simulations) => {
+  const p = targetSuccess / 100;
+  return 1.96 * Math.sqrt((p * (1 - p)) / simulations) * 100;
+};
+
+// Search range for the input. Ages run up to the year before the last one
+// simulated (the longest-lived member, or the mortality table's end). Money
+// has no natural top, so it starts at twice the current value and is doubled
+// by the search until it brackets.
+const searchRange = (params, target) => {
+  const spec = fieldSpec(target.id);
+  if (target.kind === 'age') {
+    const last = Math.min(spec.max, lastAge(params) - 1);
+    return { lo: params.currentAge + 1, hi: last, max: last };
+  }
+  if (target.kind === 'percent') return { lo: spec.min, hi: spec.max, max: spec.max };
+  return { lo: spec.min, hi: Math.max(params[target.id] * 2, 10000), max: spec.max };
+};
+
+/**
+ * Find the value of one input that reaches a success probability.
+ *
+ * @param {object} params
+ * @param {object} options
+ * @param {string} options.field           A GOAL_SEEK_TARGETS id
+ * @param {number} options.targetSuccess   Percent of paths that must succeed
+ * @param {Function} [options.onProgress]  Called with 0..1 as runs finish
+ * @returns {{ field, targetSuccess, simulations, margin, value, successRate,
+ *   low, high, current, currentSuccess, evaluations }} `value` is null when
+ *   the target can't be reached in the search range; `low` and `high` bound
+ *   the answer at 95% confidence (null where that bound is out of range).
+ */
+export const goalSeek = (params, { field, targetSuccess, onProgress }) => {
+  const target = GOAL_SEEK_TARGETS.find(t => t.id === field);
+  const step = PRECISION[target.kind];
+  const rises = target.more === 'up';
+  const simulations = Math.min(params.simulations, GOAL_SEEK_SIMULATIONS);
+  const margin = successMargin(targetSuccess, simulations);
+
+  const range = searchRange(params, target);
+  // Each search takes about log2(range / step) runs: three searches plus bracketing
+  let expected = 3 * Math.ceil(Math.log2((range.hi - range.lo) / step + 1)) + 3;
+
+  // Success by input value; the three searches share most of their runs
+  const successes = new Map();
+  const success = (value) => {
+    if (!successes.has(value)) {
+      const run = runSimulation({ ...params, [field]: value }, { seed: params.seed, simulations });
+      successes.set(value, run.successRate);
+      onProgress?.(Math.min(0.99, successes.size / expected));
+    }
+    return successes.get(value);
+  };
+
+  // Money: grow the top of the range until it's past the answer
+  if (target.kind === 'money') {
+    const pastAnswer = (value) => (rises ? success(value) >= targetSuccess + margin : success(value) < targetSuccess - margin);
+    while (range.hi < range.max && !pastAnswer(range.hi)) {
+      range.hi = Math.min(range.max, range.hi * 2);
+      expected += 1;
+    }
+  }
+
+  // Smallest (success rises) or largest (success falls) value on the
+  // step grid that meets `goal`, or null if none in range does
+  const search = (goal) => {
+    const count = Math.round((range.hi - range.lo) / step);
+    const valueAt = (k) => Math.min(range.hi, range.lo + k * step);
+    const meets = (k) => success(valueAt(k)) >= goal;
+
+    if (rises) {
+      if (!meets(count)) return null;
+      let lo = 0;
+      let hi = count;
+      while (lo < hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (meets(mid)) hi = mid;
+        else lo = mid + 1;
+      }
+      return valueAt(lo);
+    }
+
+    if (!meets(0)) return null;
+    let lo = 0;
+    let hi = count;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (meets(mid)) lo = mid;
+      else hi = mid - 1;
+    }
+    return valueAt(lo);
+  };
+
+  const value = search(targetSuccess);
+  // A lower bar is met sooner (less saving, more spending) and a higher one later
+  const easier = search(Math.max(0, targetSuccess - margin));
+  const harder = search(Math.min(100, targetSuccess + margin));
+  const [low, high] = rises ? [easier, harder] : [harder, easier];
+
+  onProgress?.(1);
+  return {
+    field,
+    targetSuccess,
+    simulations,
+    margin,
+    value,
+    successRate: value === null ? null : success(value),
+    low,
+    high,
+    current: params[field],
+    currentSuccess: success(params[field]),
+    evaluations: successes.size,
+  };
+};
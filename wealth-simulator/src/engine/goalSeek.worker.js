@@ -0,0 +1,20 @@
+import { goalSeek } from './goalSeek.js';
+
+/**
+ * GOAL SEEK WORKER
+ *
+ * Runs the goal-seek search off the main thread. Messages echo the
+ * request's `id`, like the simulation worker's.
+ */
+
+self.onmessage = (event) => {
+  const { id, params, field, targetSuccess } = event.data;
+
+  const results = goalSeek(params, {
+    field,
+    targetSuccess,
+    onProgress: (progress) => self.postMessage({ id, type: 'progress', progress }),
+  });
+
+  self.postMessage({ id, type: 'result', results });
+};
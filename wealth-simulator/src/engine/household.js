@@ -0,0 +1,67 @@
+import { MORTALITY_MAX_AGE, deathCurve, drawDeathAge } from './mortality.js';
+
+/**
+ * HOUSEHOLD
+ *
+ * Single person or a couple. The simulation runs on the primary member's age;
+ * the partner's age is a fixed offset from it. In household mode:
+ *   - the partner has their own Pre-Tax and Roth savings and contributions
+ *     (Taxable is joint), pooled with the primary's for withdrawals
+ *   - income streams belong to one member and pay `survivorPercent` of the
+ *     amount after that member dies
+ *   - spending drops to `survivorSpendingRatio` once one member has died, and
+ *     the survivor inherits every account (spousal rollover)
+ *   - the plan runs until the last member dies
+ */
+
+export const MEMBERS = ['primary', 'partner'];
+
+// Partner's age minus the primary's
+export const partnerAgeOffset = (params) => params.partnerCurrentAge - params.currentAge;
+
+// A member's own age when the primary is `age`
+export const memberAge = (params, member, age) => (
+  member === 'partner' ? age + partnerAgeOffset(params) : age
+);
+
+const isStochastic = (params) => params.longevityModel === 'mortality';
+
+// Ages (on the primary's axis) after which each member is no longer alive,
+// with fixed life expectancies. A single person's partner is never alive.
+export const deathAges = (params) => ({
+  primary: params.lifeExpectancy,
+  partner: params.household ? params.partnerLifeExpectancy - partnerAgeOffset(params) : -Infinity,
+});
+
+// Each member's chance of having died by every age, from today (mortality model)
+export const deathCurves = (params) => {
+  if (!isStochastic(params)) return null;
+  return {
+    primary: deathCurve(params.sex, params.health, params.currentAge),
+    partner: params.household ? deathCurve(params.partnerSex, params.partnerHealth, params.partnerCurrentAge) : null,
+  };
+};
+
+// One path's death ages: drawn from the curves, or the fixed ones
+export const sampleDeathAges = (params, curves, rng) => {
+  if (!curves) return deathAges(params);
+  return {
+    primary: drawDeathAge(curves.primary, params.currentAge, rng.next()),
+    partner: curves.partner
+      ? drawDeathAge(curves.partner, params.partnerCurrentAge, rng.next()) - partnerAgeOffset(params)
+      : -Infinity,
+  };
+};
+
+// Last age that can be simulated, on the primary's axis
+export const lastAge = (params) => {
+  const deaths = isStochastic(params)
+    ? { primary: MORTALITY_MAX_AGE, partner: params.household ? MORTALITY_MAX_AGE - partnerAgeOffset(params) : -Infinity }
+    : deathAges(params);
+  return Math.max(deaths.primary, deaths.partner);
+};
+
+// "70" or "70 / 68" for labels
+export const householdAges = (params, age) => (
+  params.household ? `${age} / ${memberAge(params, 'partner', age)}` : `${age}`
+);
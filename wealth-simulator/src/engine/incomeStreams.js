@@ -0,0 +1,88 @@
+import { memberAge } from './household.js';
+
+/**
+ * FIXED-INCOME STREAMS
+ *
+ * Pensions, annuities and government benefits. A stream is
+ * { label, owner, amount, startAge, endAge, indexed, taxablePercent, rule, survivorPercent }:
+ *   owner          - 'primary' or 'partner'; ages are the owner's
+ *   survivorPercent - share still paid after the owner dies (household mode)
+ *   amount         - yearly amount in today's dollars (at the rule's
+ *                    reference age, if it has one)
+ *   indexed        - rises with inflation; otherwise the amount is frozen in
+ *                    nominal dollars from the first payment
+ *   taxablePercent - share taxed as ordinary income (e.g. 85 for US Social
+ *                    Security, 0 for a Roth annuity)
+ *   rule           - how starting earlier or later changes the amount
+ */
+
+// Government benefit adjustments per year of starting before/after the reference age
+export const INCOME_STREAM_RULES = [
+  { id: 'none', label: 'Amount as entered' },
+  {
+    id: 'socialSecurity', label: 'US Social Security', referenceAge: 67, minAge: 62, maxAge: 70,
+    // 5/9% a month for the first 36 months early, 5/12% after; 8%/yr delayed credits
+    early: (years) => Math.min(years, 3) * 0.0667 + Math.max(0, years - 3) * 0.05,
+    late: (years) => years * 0.08,
+  },
+  {
+    id: 'cpp', label: 'Canada Pension Plan', referenceAge: 65, minAge: 60, maxAge: 70,
+    early: (years) => years * 0.072,
+    late: (years) => years * 0.084,
+  },
+  {
+    id: 'oas', label: 'Old Age Security', referenceAge: 65, minAge: 65, maxAge: 70,
+    early: () => 0,
+    late: (years) => years * 0.072,
+  },
+];
+
+// Templates for the "add stream" buttons
+export const INCOME_STREAM_PRESETS = {
+  pension: { label: 'Pension', owner: 'primary', amount: 20000, startAge: 65, endAge: 120, indexed: false, taxablePercent: 100, rule: 'none', survivorPercent: 60 },
+  socialSecurity: { label: 'Social Security', owner: 'primary', amount: 24000, startAge: 67, endAge: 120, indexed: true, taxablePercent: 85, rule: 'socialSecurity', survivorPercent: 0 },
+  cpp: { label: 'CPP', owner: 'primary', amount: 10000, startAge: 65, endAge: 120, indexed: true, taxablePercent: 100, rule: 'cpp', survivorPercent: 60 },
+  oas: { label: 'OAS', owner: 'primary', amount: 8500, startAge: 65, endAge: 120, indexed: true, taxablePercent: 100, rule: 'oas', survivorPercent: 0 },
+};
+
+export const streamRule = (stream) => INCOME_STREAM_RULES.find(r => r.id === stream.rule) || INCOME_STREAM_RULES[0];
+
+// Multiplier on `amount` for starting at `startAge` (clamped to the rule's ages)
+export const startAdjustment = (stream, startAge = stream.startAge) => {
+  const rule = streamRule(stream);
+  if (!rule.referenceAge) return 1;
+  const age = Math.min(rule.maxAge, Math.max(rule.minAge, startAge));
+  const offset = age - rule.referenceAge;
+  return offset < 0 ? 1 - rule.early(-offset) : 1 + rule.late(offset);
+};
+
+// Yearly amount (today's $) if the stream starts at `startAge`
+export const streamAmount = (stream, startAge = stream.startAge) => stream.amount * startAdjustment(stream, startAge);
+
+// Start ages worth comparing for the delay helper
+export const startAgeOptions = (stream) => {
+  const rule = streamRule(stream);
+  if (!rule.referenceAge) return [];
+  const ages = [];
+  for (let age = rule.minAge; age <= rule.maxAge; age++) ages.push(age);
+  return ages;
+};
+
+// Member a stream belongs to (always the primary for a single person)
+export const streamOwner = (params, stream) => (params.household && stream.owner === 'partner' ? 'partner' : 'primary');
+
+// Amount of every stream at every age (primary's) from `firstAge` to
+// `lastAge`, indexed by `age - firstAge` (today's $, before any loss from not
+// being indexed or from the owner's death).
+export const incomeStreamSchedule = (params, firstAge, lastAge) => (
+  params.incomeStreams.map((stream) => {
+    const amount = streamAmount(stream);
+    const owner = streamOwner(params, stream);
+    const amounts = [];
+    for (let age = firstAge; age <= lastAge; age++) {
+      const ownerAge = memberAge(params, owner, age);
+      amounts.push(ownerAge >= stream.startAge && ownerAge <= stream.endAge ? amount : 0);
+    }
+    return amounts;
+  })
+);
@@ -0,0 +1,75 @@
+import { ACCOUNTS } from './portfolio.js';
+
+/**
+ * LIFE EVENTS
+ *
+ * One-off and recurring cash flows on top of contributions and spending. An
+ * event is { label, type, age, endAge, amount, account, indexed }:
+ *   outflow   - one-off expense at `age` (down payment, car)
+ *   inflow    - one-off receipt at `age` (inheritance, downsizing)
+ *   recurring - expense every year from `age` to `endAge` (tuition, mortgage)
+ *
+ * Expenses are withdrawn from the named account first (taxed as usual) and
+ * fall back to the withdrawal order if it runs dry; what the portfolio can't
+ * pay is a shortfall. Inflows are deposited in the named account untaxed.
+ * Events at the current age happen today, before the first year's growth.
+ *
+ * Indexed amounts are in today's dollars. Others are fixed in dollars (a
+ * mortgage payment, a promised gift) and lose real value as prices rise.
+ */
+
+export const LIFE_EVENT_TYPES = [
+  { id: 'outflow', label: 'One-off expense' },
+  { id: 'inflow', label: 'One-off inflow' },
+  { id: 'recurring', label: 'Recurring expense' },
+];
+
+export const newLifeEvent = (age) => ({
+  label: 'New event',
+  type: 'outflow',
+  age,
+  endAge: age + 3,
+  amount: 20000,
+  account: 'taxable',
+  indexed: true,
+});
+
+export const isEventActive = (event, age) => (
+  event.type === 'recurring'
+    ? age >= event.age && age <= event.endAge
+    : age === event.age
+);
+
+// Signed amount of an event in a year it's active (+ inflow, - expense)
+export const eventAmount = (event) => (event.type === 'inflow' ? event.amount : -event.amount);
+
+// Net flow into each account at every age from `firstAge` to `lastAge`,
+// indexed by `age - firstAge`, split into deposits and withdrawals. Amounts
+// that aren't indexed are kept apart (`nominalInflow`, `nominalOutflow`),
+// since their real value depends on each path's inflation.
+export const lifeEventSchedule = (params, firstAge, lastAge) => {
+  const schedule = {};
+  ACCOUNTS.forEach((account) => {
+    schedule[account] = { inflow: [], outflow: [], nominalInflow: [], nominalOutflow: [] };
+    for (let age = firstAge; age <= lastAge; age++) {
+      const flows = { inflow: 0, outflow: 0, nominalInflow: 0, nominalOutflow: 0 };
+      params.lifeEvents.forEach((event) => {
+        if (event.account !== account || !isEventActive(event, age)) return;
+        const amount = Math.max(0, event.amount);
+        const nominal = event.indexed === false;
+        if (event.type === 'inflow') flows[nominal ? 'nominalInflow' : 'inflow'] += amount;
+        else flows[nominal ? 'nominalOutflow' : 'outflow'] += amount;
+      });
+      Object.keys(flows).forEach((key) => schedule[account][key].push(flows[key]));
+    }
+  });
+  return schedule;
+};
+
+// Real value of one account's event inflow or outflow in a year, given the
+// real value of a non-indexed dollar (`unindexed`)
+export const eventFlow = (flows, direction, year, unindexed) => (
+  direction === 'inflow'
+    ? flows.inflow[year] + flows.nominalInflow[year] * unindexed
+    : flows.outflow[year] + flows.nominalOutflow[year] * unindexed
+);
@@ -0,0 +1,77 @@
+/**
+ * LONGEVITY
+ *
+ * Either everyone dies exactly at their life expectancy, or each path draws
+ * an age at death from a period life table (by sex), optionally scaled for
+ * health. Draws are conditional on being alive today.
+ */
+
+export const LONGEVITY_MODELS = [
+  { id: 'fixed', label: 'Fixed life expectancy' },
+  { id: 'mortality', label: 'Mortality table' },
+];
+
+export const SEXES = [
+  { id: 'female', label: 'Female' },
+  { id: 'male', label: 'Male' },
+];
+
+// Multipliers on every year's probability of dying
+export const HEALTH_ADJUSTMENTS = [
+  { id: 'excellent', label: 'Excellent', factor: 0.6 },
+  { id: 'good', label: 'Good', factor: 0.8 },
+  { id: 'average', label: 'Average', factor: 1 },
+  { id: 'poor', label: 'Poor', factor: 1.5 },
+];
+
+// Nobody is simulated past this age
+export const MORTALITY_MAX_AGE = 110;
+
+// Probability of dying within the year (q_x) every 5 years from age 20,
+// rounded from the US Social Security 2020 period life table. Ages in
+// between are interpolated geometrically.
+const TABLE_START_AGE = 20;
+const TABLE_STEP = 5;
+const PERIOD_LIFE_TABLE = {
+  //       20       25       30       35       40       45       50       55       60       65
+  male: [0.00146, 0.00200, 0.00234, 0.00273, 0.00322, 0.00408, 0.00570, 0.00862, 0.01231, 0.01712,
+  //       70       75       80       85       90       95      100      105      110
+    0.02502, 0.03798, 0.06036, 0.09958, 0.16567, 0.26163, 0.36246, 0.46588, 0.57834],
+  female: [0.00056, 0.00079, 0.00107, 0.00139, 0.00180, 0.00247, 0.00352, 0.00520, 0.00740, 0.01079,
+    0.01633, 0.02581, 0.04229, 0.07230, 0.12860, 0.21724, 0.31758, 0.42500, 0.54500],
+};
+
+// Probability of dying within the year at `age`
+export const mortalityRate = (sex, health, age) => {
+  const table = PERIOD_LIFE_TABLE[sex] || PERIOD_LIFE_TABLE.female;
+  const position = Math.max(0, (age - TABLE_START_AGE) / TABLE_STEP);
+  const index = Math.min(table.length - 1, Math.floor(position));
+  const next = Math.min(table.length - 1, index + 1);
+  const q = table[index] * Math.pow(table[next] / table[index], position - index);
+  const factor = (HEALTH_ADJUSTMENTS.find(h => h.id === health) || HEALTH_ADJUSTMENTS[2]).factor;
+  return Math.min(1, q * factor);
+};
+
+// Probability of having died by the end of each age from `age` to
+// MORTALITY_MAX_AGE (the last entry is always 1), indexed by `a - age`.
+export const deathCurve = (sex, health, age) => {
+  const curve = [];
+  let alive = 1;
+  for (let a = age; a <= MORTALITY_MAX_AGE; a++) {
+    alive *= 1 - mortalityRate(sex, health, a);
+    curve.push(a === MORTALITY_MAX_AGE ? 1 : 1 - alive);
+  }
+  return curve;
+};
+
+// Age at death for a uniform draw `u` in [0, 1) on a curve starting at `age`
+export const drawDeathAge = (curve, age, u) => {
+  let index = 0;
+  while (curve[index] <= u) index++;
+  return age + index;
+};
+
+// Age by which `share` of people alive at `age` have died
+export const deathAgeQuantile = (sex, health, age, share) => (
+  drawDeathAge(deathCurve(sex, health, age), age, share)
+);
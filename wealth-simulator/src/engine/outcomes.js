@@ -0,0 +1,77 @@
+/**
+ * OUTCOME MEASURES
+ *
+ * What counts as a successful path, which percentiles the wealth bands show,
+ * and the per-path measures the KPIs summarize. All amounts are real $.
+ *
+ * A spending cut is a retired year where the portfolio and income funded
+ * less than the full target (Min Spending + discretionary, after phases and
+ * the survivor ratio): the dynamic strategy skipping discretionary spending,
+ * a percentage strategy paying out less, or money running out. Healthcare is
+ * paid before living spending, so an unfunded need cuts living spending.
+ */
+
+export const SUCCESS_DEFINITIONS = [
+  { id: 'preserveCapital', label: 'End with starting net worth' },
+  { id: 'neverDepleted', label: 'Never run out of money' },
+  { id: 'legacyTarget', label: 'Leave a legacy target' },
+  { id: 'noCuts', label: 'Never spend below Min Spending' },
+];
+
+// Percentiles kept for every age; the bands pick a low/high pair from these
+export const PERCENTILES = [5, 10, 20, 25, 50, 75, 80, 90, 95];
+
+// Outer bands by their low percentile (the high one mirrors it)
+export const BAND_PERCENTILES = [
+  { id: 5, label: 'P5 – P95' },
+  { id: 10, label: 'P10 – P90' },
+  { id: 20, label: 'P20 – P80' },
+  { id: 25, label: 'P25 – P75' },
+];
+
+// Drawdowns are measured over windows of this many years
+export const DRAWDOWN_YEARS = 10;
+
+// Largest peak-to-trough fall (0..1) within any DRAWDOWN_YEARS window
+const worstDrawdown = (total) => {
+  let worst = 0;
+  for (let j = 1; j < total.length; j++) {
+    let peak = 0;
+    for (let i = Math.max(0, j - DRAWDOWN_YEARS); i < j; i++) peak = Math.max(peak, total[i]);
+    if (peak > 0) worst = Math.max(worst, 1 - total[j] / peak);
+  }
+  return worst;
+};
+
+/**
+ * Measures of one simulated path.
+ *
+ * @param {object} params
+ * @param {object} run             A path from simulatePath
+ * @param {number} startNetWorth   Household net worth today
+ * @returns {{ success: boolean, shortfall: number, cutYears: number, drawdown: number }}
+ */
+export const pathOutcome = (params, run, startNetWorth) => {
+  const final = run.total[run.total.length - 1];
+  let shortfall = 0;
+  let cutYears = 0;
+  let depleted = false;
+  let belowMinimum = false;
+  for (let i = 0; i < run.total.length; i++) {
+    shortfall += run.shortfall[i];
+    if (run.spendingCut[i]) cutYears++;
+    if (run.belowMinimum[i]) belowMinimum = true;
+    if (run.isRetired[i] && run.total[i] < 1) depleted = true;
+  }
+
+  let success;
+  if (params.successDefinition === 'neverDepleted') success = !depleted;
+  else if (params.successDefinition === 'legacyTarget') success = final >= params.legacyTarget;
+  else if (params.successDefinition === 'noCuts') success = !belowMinimum;
+  else success = final >= startNetWorth;
+
+  return { success, shortfall, cutYears, drawdown: worstDrawdown(run.total) };
+};
+
+// Value at percentile `p` of sorted values
+export const percentileOf = (sorted, p) => sorted[Math.floor(sorted.length * (p / 100))];
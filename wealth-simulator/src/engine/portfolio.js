@@ -0,0 +1,63 @@
+/**
+ * ASSET ALLOCATION
+ *
+ * Each account holds stocks, bonds and cash at a target mix that is restored
+ * (rebalanced) at the end of every year. An optional glide path moves a share
+ * of stocks into bonds between two ages.
+ */
+
+export const ASSET_CLASSES = ['stocks', 'bonds', 'cash'];
+
+export const ACCOUNTS = ['taxable', 'pretax', 'roth'];
+
+// Param prefix for each account's allocation inputs
+const ALLOCATION_PREFIX = { taxable: 'taxable', pretax: 'preTax', roth: 'roth' };
+
+const clampPercent = (value) => Math.min(100, Math.max(0, value || 0));
+
+// Base allocation (before glide path) in percent. Cash is whatever is left.
+export const baseAllocation = (params, account) => {
+  const prefix = ALLOCATION_PREFIX[account];
+  const stocks = clampPercent(params[`${prefix}Stocks`]);
+  const bonds = Math.min(100 - stocks, clampPercent(params[`${prefix}Bonds`]));
+  return { stocks, bonds, cash: 100 - stocks - bonds };
+};
+
+// Share of the glide path completed at `age` (0 before it starts, 1 after)
+const glideProgress = (params, age) => {
+  if (!params.glidePath) return 0;
+  const { glidePathStartAge: start, glidePathEndAge: end } = params;
+  if (age <= start) return 0;
+  if (age >= end || end <= start) return 1;
+  return (age - start) / (end - start);
+};
+
+// Target weights (fractions summing to 1) for an account at a given age
+export const allocationAt = (params, account, age) => {
+  const base = baseAllocation(params, account);
+  const shift = Math.min(base.stocks, clampPercent(params.glidePathShift) * glideProgress(params, age));
+  return {
+    stocks: (base.stocks - shift) / 100,
+    bonds: (base.bonds + shift) / 100,
+    cash: base.cash / 100,
+  };
+};
+
+// Return of a rebalanced account for one year
+export const portfolioReturn = (weights, returns) => (
+  weights.stocks * returns.stocks + weights.bonds * returns.bonds + weights.cash * returns.cash
+);
+
+// Target weights for every account at every age from `firstAge` to `lastAge`,
+// indexed by `age - firstAge`. Allocation doesn't depend on the path, so this
+// is built once per run instead of every simulated year.
+export const allocationSchedule = (params, firstAge, lastAge) => {
+  const schedule = {};
+  ACCOUNTS.forEach((account) => {
+    schedule[account] = [];
+    for (let age = firstAge; age <= lastAge; age++) {
+      schedule[account].push(allocationAt(params, account, age));
+    }
+  });
+  return schedule;
+};
@@ -0,0 +1,62 @@
+/**
+ * SEEDED RANDOM NUMBERS
+ */
+
+// Mix a base seed with a stream index (e.g. the simulation number) so every
+// path gets its own independent, reproducible sequence.
+export const deriveSeed = (seed, stream) => {
+  let h = (seed ^ Math.imul(stream + 1, 0x9e3779b9)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+// Random seed for the "reroll" button
+export const randomSeed = () => Math.floor(Math.random() * 0xffffffff);
+
+// Mulberry32: small, fast PRNG with a 32-bit state
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Box-Muller transform for normal distribution
+  const gaussian = (mean = 0, stdDev = 1) => {
+    let u = 0, v = 0;
+    while (u === 0) u = next();
+    while (v === 0) v = next();
+    const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+    return mean + z * stdDev;
+  };
+
+  // Marsaglia-Tsang gamma sampler (shape > 0, scale 1)
+  const gamma = (shape) => {
+    if (shape < 1) {
+      return gamma(shape + 1) * Math.pow(next() || Number.MIN_VALUE, 1 / shape);
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x, v;
+      do {
+        x = gaussian();
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = next();
+      if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+      if (u > 0 && Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+    }
+  };
+
+  // Standard Student-t draw with `df` degrees of freedom
+  const studentT = (df) => gaussian() / Math.sqrt((2 * gamma(df / 2)) / df);
+
+  return { next, gaussian, studentT };
+};
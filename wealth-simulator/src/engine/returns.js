@@ -0,0 +1,252 @@
+import { HISTORICAL_RETURNS, HISTORICAL_FIRST_YEAR, HISTORICAL_LAST_YEAR } from './data/historicalReturns.js';
+
+/**
+ * RETURN MODELS
+ *
+ * Each model builds a per-path generator that yields one year of real
+ * returns for every asset class, plus that year's inflation:
+ * { stocks, bonds, cash, inflation }.
+ *
+ * The selected model drives stocks. Historical models take bonds and cash
+ * from the same historical year; parametric models draw them as normals
+ * correlated with the stock shock.
+ *
+ * Inflation is either a fixed rate or stochastic. Stochastic inflation comes
+ * from the same historical year under historical models, and is otherwise a
+ * normal draw correlated with the stock shock.
+ */
+
+export const RETURN_MODELS = [
+  { id: 'gaussian', label: 'Normal (Gaussian)' },
+  { id: 'studentT', label: 'Fat-tailed (Student-t)' },
+  { id: 'regime', label: 'Bull/Bear regimes' },
+  { id: 'bootstrap', label: 'Historical bootstrap' },
+  { id: 'blockBootstrap', label: 'Historical block bootstrap' },
+];
+
+export const INFLATION_MODELS = [
+  { id: 'fixed', label: 'Fixed rate' },
+  { id: 'stochastic', label: 'Stochastic' },
+];
+
+export const isHistoricalModel = (model) => model === 'bootstrap' || model === 'blockBootstrap';
+
+// Lowest degrees of freedom accepted; the variance is infinite at 2
+export const MIN_DEGREES_OF_FREEDOM = 2.1;
+
+const historicalCount = HISTORICAL_RETURNS.length;
+
+// Any year, drawn with replacement
+const createBootstrap = (rng) => () => {
+  const index = Math.floor(rng.next() * historicalCount);
+  return HISTORICAL_RETURNS[index];
+};
+
+// Consecutive runs of `blockLength` years, wrapping around the end of the
+// dataset, so crashes and recoveries keep their multi-year shape.
+const createBlockBootstrap = (rng, blockLength) => {
+  let index = 0;
+  let remaining = 0;
+
+  return () => {
+    if (remaining === 0) {
+      index = Math.floor(rng.next() * historicalCount);
+      remaining = blockLength;
+    }
+    const value = HISTORICAL_RETURNS[index];
+    index = (index + 1) % historicalCount;
+    remaining--;
+    return value;
+  };
+};
+
+// Redraws allowed before a Student-t draw gives up at a total loss
+const MAX_REDRAWS = 20;
+
+// Student-t scaled so its standard deviation equals `vol`, truncated above a
+// total loss. At typical stock volatility and 5 degrees of freedom the fat
+// left tail reaches past -100% about once in 7,000 years; those draws are
+// drawn again rather than clamped, which would wipe out the stock holding.
+const createStudentT = (rng, mean, vol, degreesOfFreedom) => {
+  const df = Math.max(MIN_DEGREES_OF_FREEDOM, degreesOfFreedom);
+  const scale = vol * Math.sqrt((df - 2) / df);
+  return () => {
+    for (let attempt = 0; attempt < MAX_REDRAWS; attempt++) {
+      const value = mean + scale * rng.studentT(df);
+      if (value > -1) return value;
+    }
+    return -1;
+  };
+};
+
+// Two-state Markov chain. Average regime durations set the switching odds.
+const regimeSettings = (params) => {
+  const bullDuration = Math.max(1, params.bullDuration);
+  const bearDuration = Math.max(1, params.bearDuration);
+  return {
+    bull: { mean: params.bullReturn / 100, vol: params.bullVolatility / 100, exit: 1 / bullDuration },
+    bear: { mean: params.bearReturn / 100, vol: params.bearVolatility / 100, exit: 1 / bearDuration },
+    // Long-run share of years spent in a bull market
+    bullShare: bullDuration / (bullDuration + bearDuration),
+  };
+};
+
+const createRegimeSwitching = (rng, params) => {
+  const { bull, bear, bullShare } = regimeSettings(params);
+  // Start from the long-run regime mix
+  let inBull = rng.next() < bullShare;
+
+  return () => {
+    const regime = inBull ? bull : bear;
+    const value = rng.gaussian(regime.mean, regime.vol);
+    if (rng.next() < regime.exit) inBull = !inBull;
+    return value;
+  };
+};
+
+// Long-run mean and volatility of the parametric stock models
+const longRunStats = (params) => {
+  if (params.returnModel === 'regime') {
+    const { bull, bear, bullShare } = regimeSettings(params);
+    const mean = bullShare * bull.mean + (1 - bullShare) * bear.mean;
+    const secondMoment = bullShare * (bull.vol ** 2 + bull.mean ** 2)
+      + (1 - bullShare) * (bear.vol ** 2 + bear.mean ** 2);
+    return { mean, vol: Math.sqrt(Math.max(0, secondMoment - mean ** 2)) };
+  }
+  return { mean: params.expectedReturn / 100, vol: params.volatility / 100 };
+};
+
+// AR(1) with a negative lag-one coefficient: a year above the mean pulls the
+// next one below it. Shocks are shrunk so the yearly volatility is unchanged.
+const withMeanReversion = (generate, mean, strength) => {
+  const phi = Math.min(0.95, Math.max(0, strength));
+  const shockScale = Math.sqrt(1 - phi * phi);
+  let previous = mean;
+
+  return () => {
+    const value = mean + shockScale * (generate() - mean) - phi * (previous - mean);
+    previous = value;
+    return value;
+  };
+};
+
+const createParametric = (params, rng) => {
+  const meanRealReturn = params.expectedReturn / 100;
+  const vol = params.volatility / 100;
+  switch (params.returnModel) {
+    case 'studentT':
+      return createStudentT(rng, meanRealReturn, vol, params.degreesOfFreedom);
+    case 'regime':
+      return createRegimeSwitching(rng, params);
+    default:
+      return () => rng.gaussian(meanRealReturn, vol);
+  }
+};
+
+// Lower-triangular Cholesky factor of the stock/bond/cash correlation matrix.
+// `valid` is false when the correlations are inconsistent with each other; the
+// factor is then clamped so draws stay finite.
+export const correlationFactor = (params) => {
+  const clamp = (v) => Math.min(0.999, Math.max(-0.999, v));
+  const sb = clamp(params.stockBondCorrelation);
+  const sc = clamp(params.stockCashCorrelation);
+  const bc = clamp(params.bondCashCorrelation);
+
+  const l11 = Math.sqrt(1 - sb * sb);
+  const l21 = (bc - sb * sc) / l11;
+  const l22Squared = 1 - sc * sc - l21 * l21;
+
+  return {
+    valid: l22Squared > 0,
+    l10: sb,
+    l11,
+    l20: sc,
+    l21,
+    l22: Math.sqrt(Math.max(0, l22Squared)),
+  };
+};
+
+const createHistorical = (params, rng) => {
+  const nextYear = params.returnModel === 'blockBootstrap'
+    ? createBlockBootstrap(rng, Math.max(1, Math.round(params.blockLength)))
+    : createBootstrap(rng);
+  const fixedInflation = params.inflationModel === 'stochastic' ? null : params.inflationRate / 100;
+
+  return () => {
+    const { stocks, bonds, bills, inflation } = nextYear();
+    return { stocks, bonds, cash: bills, inflation: fixedInflation ?? inflation };
+  };
+};
+
+const createParametricAssets = (params, rng) => {
+  let generateStocks = createParametric(params, rng);
+  const stats = longRunStats(params);
+  if (params.meanReversion) {
+    generateStocks = withMeanReversion(generateStocks, stats.mean, params.meanReversionStrength / 100);
+  }
+
+  const factor = correlationFactor(params);
+  const bondMean = params.bondReturn / 100;
+  const bondVol = params.bondVolatility / 100;
+  const cashMean = params.cashReturn / 100;
+  const cashVol = params.cashVolatility / 100;
+
+  const stochasticInflation = params.inflationModel === 'stochastic';
+  const inflationMean = params.inflationRate / 100;
+  const inflationVol = params.inflationVolatility / 100;
+  const inflationCorrelation = Math.min(1, Math.max(-1, params.stockInflationCorrelation));
+  const inflationShockScale = Math.sqrt(1 - inflationCorrelation * inflationCorrelation);
+
+  return () => {
+    const stocks = generateStocks();
+    // Standardized stock shock, shared with bonds and cash through the factor
+    const z0 = stats.vol > 0 ? (stocks - stats.mean) / stats.vol : 0;
+    const z1 = rng.gaussian();
+    const z2 = rng.gaussian();
+    const inflation = stochasticInflation
+      ? inflationMean + inflationVol * (inflationCorrelation * z0 + inflationShockScale * rng.gaussian())
+      : inflationMean;
+
+    return {
+      // Normal tails and mean reversion can still go below -100%; you can't lose more than everything
+      stocks: Math.max(-1, stocks),
+      bonds: Math.max(-1, bondMean + bondVol * (factor.l10 * z0 + factor.l11 * z1)),
+      cash: Math.max(-1, cashMean + cashVol * (factor.l20 * z0 + factor.l21 * z1 + factor.l22 * z2)),
+      // Prices can fall, but not below zero
+      inflation: Math.max(-0.99, inflation),
+    };
+  };
+};
+
+// Returns a function that yields the next year's real returns by asset class and inflation
+export const createReturnGenerator = (params, rng) => (
+  isHistoricalModel(params.returnModel)
+    ? createHistorical(params, rng)
+    : createParametricAssets(params, rng)
+);
+
+// Short human-readable label, e.g. for chart subtitles
+export const describeReturnModel = (params) => {
+  const range = `${HISTORICAL_FIRST_YEAR}–${HISTORICAL_LAST_YEAR}`;
+  const reversion = params.meanReversion ? `, ${params.meanReversionStrength}% mean reversion` : '';
+  switch (params.returnModel) {
+    case 'bootstrap':
+      return `Historical bootstrap (US stocks ${range})`;
+    case 'blockBootstrap':
+      return `Historical block bootstrap (${params.blockLength}-yr blocks, US stocks ${range})`;
+    case 'studentT':
+      return `Student-t (${params.expectedReturn}% ± ${params.volatility}%, ${params.degreesOfFreedom} df${reversion})`;
+    case 'regime':
+      return `Bull/Bear regimes (${params.bullReturn}% / ${params.bearReturn}%${reversion})`;
+    default:
+      return `Normal (${params.expectedReturn}% ± ${params.volatility}%${reversion})`;
+  }
+};
+
+// Mean and volatility of the bundled stock series, for display
+export const historicalStats = (() => {
+  const values = HISTORICAL_RETURNS.map(d => d.stocks);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  return { mean, volatility: Math.sqrt(variance), years: values.length };
+})();
@@ -0,0 +1,435 @@
+import { RETURN_MODELS, INFLATION_MODELS, MIN_DEGREES_OF_FREEDOM } from './returns.js';
+import { ACCOUNTS } from './portfolio.js';
+import { WITHDRAWAL_STRATEGIES } from './withdrawalStrategies.js';
+import { WITHDRAWAL_ORDERS, ROTH_CONVERSION_MODES } from './withdrawalOrder.js';
+import { MANDATORY_WITHDRAWAL_SCHEDULES } from './mandatoryWithdrawals.js';
+import { LIFE_EVENT_TYPES, newLifeEvent } from './lifeEvents.js';
+import { CONTRIBUTION_MODES } from './contributions.js';
+import { INCOME_STREAM_RULES, INCOME_STREAM_PRESETS } from './incomeStreams.js';
+import { TAX_SYSTEMS, TAX_PRESETS } from './tax.js';
+import { MEMBERS } from './household.js';
+import { LONGEVITY_MODELS, SEXES, HEALTH_ADJUSTMENTS } from './mortality.js';
+import { DEFAULT_SPENDING_PHASES } from './spending.js';
+import { SUCCESS_DEFINITIONS, BAND_PERCENTILES } from './outcomes.js';
+import { STRESS_TYPES, HISTORICAL_CRASHES, newStressTest } from './stress.js';
+
+/**
+ * SCENARIO SCHEMA
+ *
+ * Scenarios travel as URL query strings (every value a string, lists as JSON)
+ * and as exported JSON files ({ version, params }). Both are read the same
+ * way: migrate from the version they were written with, then check every
+ * field against its type and range.
+ *
+ * Nothing is thrown. A field that can't be used keeps its default and one
+ * that is out of range is clamped; each is reported as an issue
+ * ({ field, message }) so the UI can say what changed.
+ *
+ * Versions:
+ *   1 - no version marker: links from before this schema, possibly with the
+ *       single fixed income and flat income tax rate
+ *   2 - current
+ */
+
+export const SCHEMA_VERSION = 2;
+
+// --- Field specs ---
+
+const number = (min, max) => ({ type: 'number', min, max });
+const integer = (min, max) => ({ type: 'number', min, max, integer: true });
+const option = (options) => ({ type: 'option', ids: options.map(o => (typeof o === 'string' ? o : o.id)) });
+const BOOLEAN = { type: 'boolean' };
+const TEXT = { type: 'text' };
+
+const AGE = integer(18, 120);
+const MONEY = number(0, 1e9);
+const PERCENT = number(0, 100);
+const RATE = number(-50, 50);
+const CORRELATION = number(-1, 1);
+
+const BRACKET = { from: MONEY, rate: PERCENT };
+
+// List fields: the spec of one item and the values a bad or missing field falls back to
+const LISTS = {
+  incomeStreams: {
+    item: {
+      label: TEXT, owner: option(MEMBERS), amount: MONEY, startAge: AGE, endAge: AGE,
+      indexed: BOOLEAN, taxablePercent: PERCENT, rule: option(INCOME_STREAM_RULES), survivorPercent: PERCENT,
+    },
+    template: INCOME_STREAM_PRESETS.pension,
+  },
+  lifeEvents: {
+    item: {
+      label: TEXT, type: option(LIFE_EVENT_TYPES), age: AGE, endAge: AGE, amount: MONEY,
+      account: option(ACCOUNTS), indexed: BOOLEAN,
+    },
+    template: newLifeEvent(65),
+  },
+  stressTests: {
+    item: {
+      label: TEXT, type: option(STRESS_TYPES), startAge: AGE, amount: number(-100, 100),
+      years: integer(1, 30), crash: option(HISTORICAL_CRASHES),
+    },
+    template: newStressTest(65),
+  },
+  spendingPhaseRanges: {
+    item: { label: TEXT, startAge: AGE, endAge: AGE, multiplier: number(0, 300) },
+    template: DEFAULT_SPENDING_PHASES[0],
+  },
+  taxBrackets: { item: BRACKET, template: { from: 0, rate: 0 }, ascending: 'from' },
+  regionalTaxBrackets: { item: BRACKET, template: { from: 0, rate: 0 }, ascending: 'from' },
+  capitalGainsBrackets: { item: BRACKET, template: { from: 0, rate: 0 }, ascending: 'from' },
+};
+
+const FIELDS = {
+  // Timeline & household
+  currentAge: integer(18, 100),
+  retirementAge: AGE,
+  lifeExpectancy: AGE,
+  longevityModel: option(LONGEVITY_MODELS),
+  sex: option(SEXES),
+  health: option(HEALTH_ADJUSTMENTS),
+  household: BOOLEAN,
+  partnerCurrentAge: integer(18, 100),
+  partnerRetirementAge: AGE,
+  partnerLifeExpectancy: AGE,
+  partnerSex: option(SEXES),
+  partnerHealth: option(HEALTH_ADJUSTMENTS),
+  partnerPreTaxBalance: MONEY,
+  partnerPreTaxContribution: MONEY,
+  partnerRothBalance: MONEY,
+  partnerRothContribution: MONEY,
+  survivorSpendingRatio: PERCENT,
+
+  // Accounts & contributions
+  taxableBalance: MONEY,
+  taxableCostBasis: MONEY,
+  taxableContribution: MONEY,
+  preTaxBalance: MONEY,
+  preTaxContribution: MONEY,
+  rothBalance: MONEY,
+  rothContribution: MONEY,
+  contributionsIndexed: BOOLEAN,
+  contributionMode: option(CONTRIBUTION_MODES),
+  contributionGrowth: number(-20, 20),
+  salary: MONEY,
+  salaryGrowth: number(-20, 20),
+  taxableContributionPct: PERCENT,
+  preTaxContributionPct: PERCENT,
+  rothContributionPct: PERCENT,
+  contributionCaps: BOOLEAN,
+  preTaxContributionCap: MONEY,
+  rothContributionCap: MONEY,
+  contributionCapsIndexed: BOOLEAN,
+
+  // Allocation
+  taxableStocks: PERCENT,
+  taxableBonds: PERCENT,
+  preTaxStocks: PERCENT,
+  preTaxBonds: PERCENT,
+  rothStocks: PERCENT,
+  rothBonds: PERCENT,
+  glidePath: BOOLEAN,
+  glidePathStartAge: AGE,
+  glidePathEndAge: AGE,
+  glidePathShift: PERCENT,
+
+  // Spending
+  minSpending: MONEY,
+  discretionarySpending: MONEY,
+  spendingIndexed: BOOLEAN,
+  spendingPhases: BOOLEAN,
+  healthcareCosts: BOOLEAN,
+  healthcareCost: MONEY,
+  healthcareCostGrowth: number(-20, 20),
+  longTermCare: BOOLEAN,
+  ltcStartAge: AGE,
+  ltcAnnualRisk: PERCENT,
+  ltcAnnualCost: MONEY,
+  ltcDuration: integer(1, 50),
+
+  // Withdrawals
+  withdrawalStrategy: option(WITHDRAWAL_STRATEGIES),
+  withdrawalRate: PERCENT,
+  guardrailInitialRate: PERCENT,
+  guardrailBand: PERCENT,
+  guardrailAdjustment: PERCENT,
+  vpwReturn: number(-20, 20),
+  vpwEndAge: integer(50, 130),
+  withdrawalOrder: option(WITHDRAWAL_ORDERS),
+  lowBracketCeiling: MONEY,
+  rothConversion: option(ROTH_CONVERSION_MODES),
+  rothConversionStartAge: AGE,
+  rothConversionEndAge: AGE,
+  rothConversionAmount: MONEY,
+  rothConversionCeiling: MONEY,
+  mandatoryWithdrawals: option(MANDATORY_WITHDRAWAL_SCHEDULES),
+  mandatoryWithdrawalStartAge: AGE,
+
+  // Income
+  bridgeIncome: MONEY,
+  bridgeEndAge: AGE,
+  bridgeIncomeIndexed: BOOLEAN,
+
+  // Market
+  returnModel: option(RETURN_MODELS),
+  expectedReturn: RATE,
+  volatility: PERCENT,
+  degreesOfFreedom: number(MIN_DEGREES_OF_FREEDOM, 1000),
+  bullReturn: RATE,
+  bullVolatility: PERCENT,
+  bullDuration: number(1, 100),
+  bearReturn: RATE,
+  bearVolatility: PERCENT,
+  bearDuration: number(1, 100),
+  meanReversion: BOOLEAN,
+  meanReversionStrength: PERCENT,
+  blockLength: integer(1, 50),
+  bondReturn: RATE,
+  bondVolatility: PERCENT,
+  cashReturn: RATE,
+  cashVolatility: PERCENT,
+  stockBondCorrelation: CORRELATION,
+  stockCashCorrelation: CORRELATION,
+  bondCashCorrelation: CORRELATION,
+
+  // Inflation & taxes
+  inflationModel: option(INFLATION_MODELS),
+  inflationRate: number(-10, 50),
+  inflationVolatility: number(0, 50),
+  stockInflationCorrelation: CORRELATION,
+  taxSystem: option(TAX_SYSTEMS),
+  capitalGainsInclusion: PERCENT,
+  taxBracketsIndexed: BOOLEAN,
+
+  // Outcome measures
+  successDefinition: option(SUCCESS_DEFINITIONS),
+  legacyTarget: MONEY,
+  bandPercentile: option(BAND_PERCENTILES),
+
+  // Simulation
+  seed: integer(0, 0xffffffff),
+  simulations: integer(100, 50000),
+};
+
+// Spec of a single-value field ({ type, min, max, integer } for numbers), or null
+export const fieldSpec = (field) => FIELDS[field] || null;
+
+// Spec of one key of a list item (e.g. incomeStreams, amount), or null
+export const listItemSpec = (field, key) => LISTS[field]?.item[key] || null;
+
+// Age pairs where the second must come after the first
+const AGE_ORDER = [
+  ['currentAge', 'retirementAge'],
+  ['retirementAge', 'lifeExpectancy'],
+  ['partnerCurrentAge', 'partnerRetirementAge'],
+  ['partnerRetirementAge', 'partnerLifeExpectancy'],
+];
+
+// --- Migrations (each takes raw fields of version n to n + 1) ---
+
+const MIGRATIONS = {
+  1: (raw) => {
+    const migrated = { ...raw };
+
+    // A single fixed income became a list of income streams
+    const fixedIncome = Number(raw.fixedIncomeAnnual);
+    if (fixedIncome > 0 && raw.incomeStreams === undefined) {
+      migrated.incomeStreams = [{
+        ...INCOME_STREAM_PRESETS.pension,
+        label: 'Fixed Income',
+        amount: fixedIncome,
+        startAge: Number(raw.fixedIncomeStartAge) || 65,
+        indexed: String(raw.fixedIncomeIndexed) !== 'false',
+      }];
+    }
+
+    // A flat income tax rate became the flat tax system
+    const taxRate = Number(raw.incomeTaxRate);
+    if (raw.incomeTaxRate !== undefined && raw.taxSystem === undefined && Number.isFinite(taxRate)) {
+      Object.assign(migrated, TAX_PRESETS.flat, { taxSystem: 'flat', taxBrackets: [{ from: 0, rate: taxRate }] });
+    }
+
+    delete migrated.fixedIncomeAnnual;
+    delete migrated.fixedIncomeStartAge;
+    delete migrated.fixedIncomeIndexed;
+    delete migrated.incomeTaxRate;
+    return migrated;
+  },
+};
+
+// Versions are whole numbers from 1 (strings from a URL); anything else is read as version 1
+const readVersion = (version, issues) => {
+  const parsed = typeof version === 'string' && version.trim() !== '' ? Number(version) : version;
+  if (Number.isInteger(parsed) && parsed >= 1) return parsed;
+  issues.push({ field: 'version', message: `${describe(version)} is not a schema version; read as version 1` });
+  return 1;
+};
+
+const migrate = (raw, version, issues) => {
+  let migrated = raw;
+  for (let v = version; v < SCHEMA_VERSION; v++) migrated = MIGRATIONS[v](migrated);
+  if (version > SCHEMA_VERSION) {
+    issues.push({ field: 'version', message: `written by a newer version (${version}); unknown fields are ignored` });
+  }
+  return migrated;
+};
+
+// --- Validation ---
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+// Check one value against its spec. Returns the value to use.
+const checkValue = (spec, value, fallback, field, issues) => {
+  if (spec.type === 'number') {
+    const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+      issues.push({ field, message: `${describe(value)} is not a number; kept ${fallback}` });
+      return fallback;
+    }
+    let fixed = spec.integer ? Math.round(parsed) : parsed;
+    fixed = Math.min(spec.max, Math.max(spec.min, fixed));
+    if (fixed !== parsed) {
+      issues.push({ field, message: `${parsed} is outside ${spec.min}–${spec.max}${spec.integer ? ' (whole numbers)' : ''}; set to ${fixed}` });
+    }
+    return fixed;
+  }
+  if (spec.type === 'boolean') {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    issues.push({ field, message: `${describe(value)} is not true/false; kept ${fallback}` });
+    return fallback;
+  }
+  if (spec.type === 'option') {
+    // Ids may be numbers, which arrive from a URL as strings
+    const id = spec.ids.find(candidate => String(candidate) === String(value));
+    if (id !== undefined) return id;
+    issues.push({ field, message: `${describe(value)} is not one of ${spec.ids.join(', ')}; kept "${fallback}"` });
+    return fallback;
+  }
+  if (typeof value === 'string') return value;
+  issues.push({ field, message: `${describe(value)} is not text; kept "${fallback}"` });
+  return fallback;
+};
+
+// Check a list field (URL values are JSON). Bad items are dropped, bad item
+// fields fall back to the template.
+const checkList = (list, value, fallback, field, issues) => {
+  let items = value;
+  if (typeof value === 'string') {
+    try {
+      items = JSON.parse(value);
+    } catch {
+      issues.push({ field, message: 'is not valid JSON; kept the default' });
+      return fallback;
+    }
+  }
+  if (!Array.isArray(items)) {
+    issues.push({ field, message: 'is not a list; kept the default' });
+    return fallback;
+  }
+
+  const checked = [];
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      issues.push({ field: `${field}[${index}]`, message: 'is not an object; removed' });
+      return;
+    }
+    const row = {};
+    Object.entries(list.item).forEach(([key, spec]) => {
+      // Missing fields are from older versions: fill them in quietly
+      row[key] = item[key] === undefined
+        ? list.template[key]
+        : checkValue(spec, item[key], list.template[key], `${field}[${index}].${key}`, issues);
+    });
+    checked.push(row);
+  });
+
+  if (list.ascending) {
+    const key = list.ascending;
+    if (checked.some((row, i) => i > 0 && row[key] <= checked[i - 1][key])) {
+      checked.sort((a, b) => a[key] - b[key]);
+      issues.push({ field, message: `rows were not in ascending "${key}" order; sorted` });
+    }
+  }
+  return checked;
+};
+
+/**
+ * Validate raw scenario fields of a given version against `defaults`.
+ *
+ * @param {object} raw                Field values (strings from a URL or typed from JSON)
+ * @param {number|string} version    Schema version they were written with
+ * @param {object} defaults           DEFAULT_PARAMS; fields that are missing keep these
+ * @returns {{ params: object, issues: Array<{ field: string, message: string }> }}
+ */
+export const validateScenario = (raw, version, defaults) => {
+  const issues = [];
+  version = readVersion(version, issues);
+  const migrated = migrate(raw, version, issues);
+  const params = { ...defaults };
+
+  Object.entries(migrated).forEach(([field, value]) => {
+    if (!(field in defaults)) {
+      if (version <= SCHEMA_VERSION) issues.push({ field, message: 'is not a scenario field; ignored' });
+      return;
+    }
+    if (LISTS[field]) {
+      params[field] = checkList(LISTS[field], value, defaults[field], field, issues);
+    } else if (FIELDS[field]) {
+      params[field] = checkValue(FIELDS[field], value, defaults[field], field, issues);
+    }
+  });
+
+  AGE_ORDER.forEach(([earlier, later]) => {
+    if (params[later] <= params[earlier]) {
+      const fixed = Math.min(120, params[earlier] + 1);
+      issues.push({ field: later, message: `must be after ${earlier} (${params[earlier]}); set to ${fixed}` });
+      params[later] = fixed;
+    }
+  });
+
+  return { params, issues };
+};
+
+// Read a scenario from URL query parameters
+export const readSearchParams = (searchParams, defaults) => {
+  const raw = {};
+  searchParams.forEach((value, key) => {
+    raw[key] = value;
+  });
+  const version = raw.version ?? 1;
+  delete raw.version;
+  return validateScenario(raw, version, defaults);
+};
+
+// Write a scenario as URL query parameters (lists as JSON)
+export const writeSearchParams = (params) => {
+  const searchParams = new URLSearchParams({ version: SCHEMA_VERSION });
+  Object.entries(params).forEach(([key, value]) => {
+    searchParams.set(key, typeof value === 'object' ? JSON.stringify(value) : value);
+  });
+  return searchParams;
+};
+
+// Read an exported scenario file. A bare params object is read as version 1.
+export const readScenarioFile = (text, defaults) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { params: null, issues: [{ field: 'file', message: 'is not valid JSON; nothing was imported' }] };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { params: null, issues: [{ field: 'file', message: 'does not contain a scenario; nothing was imported' }] };
+  }
+  if (data.params && typeof data.params === 'object') {
+    return validateScenario(data.params, data.version ?? 1, defaults);
+  }
+  return validateScenario(data, 1, defaults);
+};
+
+// Contents of an exported scenario file
+export const writeScenarioFile = (params, name) => (
+  JSON.stringify({ version: SCHEMA_VERSION, name, exportedAt: new Date().toISOString(), params }, null, 2)
+);
@@ -0,0 +1,233 @@
+import { runSimulation } from './simulation.js';
+import { isHistoricalModel } from './returns.js';
+import { SCHEMA_VERSION, fieldSpec, listItemSpec, validateScenario } from './scenarioSchema.js';
+
+/**
+ * SENSITIVITY ANALYSIS
+ *
+ * Reruns the engine with one input at a time moved down and up by `step`
+ * percent of its value, and measures the change in success probability and
+ * median legacy against a baseline run. Every run uses the same seed, so the
+ * paths are the same market histories and the differences come from the
+ * input alone.
+ *
+ * Only numeric inputs that are in use under the current settings are moved
+ * (no guardrail band unless the strategy is guardrails); inputs at zero have
+ * no relative step and are left out. List items (income streams, life
+ * events, spending phases) are moved one item at a time. Moves are clamped
+ * to the field's range and then checked like any scenario, so ages stay in
+ * order.
+ */
+
+// Paths per run; the analysis is ~2 runs per input, so it uses fewer than the main run
+export const SENSITIVITY_SIMULATIONS = 500;
+
+export const SENSITIVITY_STEPS = [5, 10, 20, 50];
+
+const isSalary = (p) => p.contributionMode === 'salary';
+const notHistorical = (p) => !isHistoricalModel(p.returnModel);
+const strategy = (...ids) => (p) => ids.includes(p.withdrawalStrategy);
+
+// [field, label, in use?]
+const INPUTS = [
+  ['currentAge', 'Current age'],
+  ['retirementAge', 'Retirement age'],
+  ['lifeExpectancy', 'Life expectancy', p => p.longevityModel === 'fixed'],
+  ['partnerCurrentAge', "Partner's age", p => p.household],
+  ['partnerRetirementAge', 'Partner retires at', p => p.household],
+  ['partnerLifeExpectancy', 'Partner life expectancy', p => p.household && p.longevityModel === 'fixed'],
+  ['survivorSpendingRatio', 'Survivor spending', p => p.household],
+
+  ['taxableBalance', 'Taxable balance'],
+  ['taxableCostBasis', 'Taxable cost basis'],
+  ['taxableContribution', 'Taxable contribution', p => !isSalary(p)],
+  ['preTaxBalance', 'Pre-Tax balance'],
+  ['preTaxContribution', 'Pre-Tax contribution', p => !isSalary(p)],
+  ['rothBalance', 'Post-Tax balance'],
+  ['rothContribution', 'Post-Tax contribution', p => !isSalary(p)],
+  ['partnerPreTaxBalance', "Partner's Pre-Tax balance", p => p.household],
+  ['partnerPreTaxContribution', "Partner's Pre-Tax contribution", p => p.household],
+  ['partnerRothBalance', "Partner's Post-Tax balance", p => p.household],
+  ['partnerRothContribution', "Partner's Post-Tax contribution", p => p.household],
+  ['contributionGrowth', 'Contribution growth', p => !isSalary(p)],
+  ['salary', 'Salary', isSalary],
+  ['salaryGrowth', 'Real raise / year', isSalary],
+  ['taxableContributionPct', 'Taxable % of salary', isSalary],
+  ['preTaxContributionPct', 'Pre-Tax % of salary', isSalary],
+  ['rothContributionPct', 'Post-Tax % of salary', isSalary],
+  ['preTaxContributionCap', 'Pre-Tax cap', p => p.contributionCaps],
+  ['rothContributionCap', 'Post-Tax cap', p => p.contributionCaps],
+
+  ['taxableStocks', 'Taxable stocks %'],
+  ['taxableBonds', 'Taxable bonds %'],
+  ['preTaxStocks', 'Pre-Tax stocks %'],
+  ['preTaxBonds', 'Pre-Tax bonds %'],
+  ['rothStocks', 'Post-Tax stocks %'],
+  ['rothBonds', 'Post-Tax bonds %'],
+  ['glidePathStartAge', 'Glide path from age', p => p.glidePath],
+  ['glidePathEndAge', 'Glide path to age', p => p.glidePath],
+  ['glidePathShift', 'Glide path shift', p => p.glidePath],
+
+  ['minSpending', 'Min spending'],
+  ['discretionarySpending', 'Discretionary spending'],
+  ['healthcareCost', 'Healthcare cost at 65', p => p.healthcareCosts],
+  ['healthcareCostGrowth', 'Healthcare increase / year of age', p => p.healthcareCosts],
+  ['ltcStartAge', 'Long-term care risk from age', p => p.longTermCare],
+  ['ltcAnnualRisk', 'Long-term care yearly chance', p => p.longTermCare],
+  ['ltcAnnualCost', 'Long-term care cost / year', p => p.longTermCare],
+  ['ltcDuration', 'Long-term care duration', p => p.longTermCare],
+
+  ['withdrawalRate', 'Withdrawal rate', strategy('fixedPercent')],
+  ['guardrailInitialRate', 'Guardrail initial rate', strategy('guardrails')],
+  ['guardrailBand', 'Guardrail band', strategy('guardrails')],
+  ['guardrailAdjustment', 'Guardrail adjustment', strategy('guardrails')],
+  ['vpwReturn', 'VPW assumed return', strategy('vpw')],
+  ['vpwEndAge', 'VPW plan to age', strategy('vpw')],
+  ['lowBracketCeiling', 'Low bracket top', p => p.withdrawalOrder === 'fillBracket'],
+  ['rothConversionStartAge', 'Conversions from age', p => p.rothConversion !== 'none'],
+  ['rothConversionEndAge', 'Conversions to age', p => p.rothConversion !== 'none'],
+  ['rothConversionAmount', 'Conversion amount / year', p => p.rothConversion === 'fixed'],
+  ['rothConversionCeiling', 'Conversion income ceiling', p => p.rothConversion === 'bracket'],
+  ['mandatoryWithdrawalStartAge', 'Mandatory withdrawals from age', p => p.mandatoryWithdrawals !== 'none'],
+  ['bridgeIncome', 'Part-time income'],
+  ['bridgeEndAge', 'Part-time income until age', p => p.bridgeIncome > 0],
+
+  ['expectedReturn', 'Expected return', p => notHistorical(p) && p.returnModel !== 'regime'],
+  ['volatility', 'Volatility', p => notHistorical(p) && p.returnModel !== 'regime'],
+  ['degreesOfFreedom', 'Degrees of freedom', p => p.returnModel === 'studentT'],
+  ['bullReturn', 'Bull return', p => p.returnModel === 'regime'],
+  ['bullVolatility', 'Bull volatility', p => p.returnModel === 'regime'],
+  ['bullDuration', 'Bull duration', p => p.returnModel === 'regime'],
+  ['bearReturn', 'Bear return', p => p.returnModel === 'regime'],
+  ['bearVolatility', 'Bear volatility', p => p.returnModel === 'regime'],
+  ['bearDuration', 'Bear duration', p => p.returnModel === 'regime'],
+  ['meanReversionStrength', 'Mean reversion strength', p => notHistorical(p) && p.meanReversion],
+  ['blockLength', 'Block length', p => p.returnModel === 'blockBootstrap'],
+  ['bondReturn', 'Bond return', notHistorical],
+  ['bondVolatility', 'Bond volatility', notHistorical],
+  ['cashReturn', 'Cash return', notHistorical],
+  ['cashVolatility', 'Cash volatility', notHistorical],
+  ['stockBondCorrelation', 'Stocks / bonds correlation', notHistorical],
+  ['stockCashCorrelation', 'Stocks / cash correlation', notHistorical],
+  ['bondCashCorrelation', 'Bonds / cash correlation', notHistorical],
+
+  ['inflationRate', 'Inflation', p => p.inflationModel === 'fixed' || notHistorical(p)],
+  ['inflationVolatility', 'Inflation volatility', p => p.inflationModel === 'stochastic' && notHistorical(p)],
+  ['stockInflationCorrelation', 'Stocks / inflation correlation', p => p.inflationModel === 'stochastic' && notHistorical(p)],
+  ['capitalGainsInclusion', 'Capital gains inclusion', p => p.taxSystem !== 'us'],
+  ['legacyTarget', 'Legacy target', p => p.successDefinition === 'legacyTarget'],
+];
+
+// [list, item key, label for an item, in use?]; each item is its own input
+const LIST_INPUTS = [
+  ['incomeStreams', 'amount', item => `${item.label} amount`],
+  ['incomeStreams', 'startAge', item => `${item.label} start age`],
+  ['lifeEvents', 'amount', item => `${item.label} amount`],
+  ['lifeEvents', 'age', item => `${item.label} age`],
+  ['spendingPhaseRanges', 'multiplier', item => `${item.label} phase spending`, p => p.spendingPhases],
+];
+
+const inputSpec = (input) => (input.key ? listItemSpec(input.field, input.key) : fieldSpec(input.field));
+
+// Current value of an input in `params`
+const inputValue = (params, input) => (
+  input.key ? params[input.field][input.index]?.[input.key] : params[input.field]
+);
+
+// Raw scenario fields that set an input to `value`
+const withValue = (params, input, value) => {
+  if (!input.key) return { [input.field]: value };
+  const list = params[input.field].map((item, index) => (index === input.index ? { ...item, [input.key]: value } : item));
+  return { [input.field]: list };
+};
+
+// `value` moved by `step` percent in `direction` (-1 or 1), within the field's
+// range. Whole-number fields move by at least 1; others are rounded to drop
+// floating-point noise (0.11, not 0.11000000000000001).
+const moveValue = (spec, value, step, direction) => {
+  let delta = Math.abs(value) * (step / 100);
+  if (spec.integer) delta = Math.max(1, Math.round(delta));
+  const moved = Number((value + direction * delta).toPrecision(10));
+  return Math.min(spec.max, Math.max(spec.min, moved));
+};
+
+// The fields a move changes (the input itself, plus any ages pushed back into order)
+const moveParams = (params, input, value) => {
+  const { params: moved } = validateScenario(withValue(params, input, value), SCHEMA_VERSION, params);
+  const change = {};
+  Object.keys(moved).forEach((key) => {
+    if (moved[key] !== params[key]) change[key] = moved[key];
+  });
+  return change;
+};
+
+// Inputs to move for `params`: { field, label, value }, plus `index` and
+// `key` for a list item
+export const sensitivityInputs = (params) => [
+  ...INPUTS
+    .filter(([field, , inUse]) => params[field] !== 0 && (!inUse || inUse(params)))
+    .map(([field, label]) => ({ field, label, value: params[field] })),
+  ...LIST_INPUTS
+    .filter(([, , , inUse]) => !inUse || inUse(params))
+    .flatMap(([field, key, label]) => params[field].map((item, index) => ({ field, index, key, label: label(item), value: item[key] })))
+    .filter(input => input.value !== 0),
+];
+
+const measure = (params, seed, simulations) => {
+  const results = runSimulation(params, { seed, simulations });
+  return { successRate: results.successRate, medianEndWealth: results.medianEndWealth };
+};
+
+/**
+ * Move every input in use down and up by `step` percent and rerun.
+ *
+ * @param {object} params
+ * @param {object} options
+ * @param {number} options.step            Percent of each input's value
+ * @param {number} [options.simulations]   Paths per run
+ * @param {Function} [options.onProgress]  Called with 0..1 after each run
+ * @returns {{ step, simulations, baseline: { successRate, medianEndWealth },
+ *   inputs: Array<{ field, index?, key?, label, value, down, up }> }} `down` and `up` are
+ *   { value, change, successRate, medianEndWealth, successDelta, legacyDelta }
+ *   or null when the input can't move that way; `change` holds the params to
+ *   apply for that move.
+ */
+export const runSensitivity = (params, { step, simulations = SENSITIVITY_SIMULATIONS, onProgress }) => {
+  const seed = params.seed;
+  const runs = Math.min(simulations, params.simulations);
+  const inputs = sensitivityInputs(params);
+  const total = inputs.length * 2 + 1;
+  let done = 0;
+  const progress = () => onProgress?.(++done / total);
+
+  const baseline = measure(params, seed, runs);
+  progress();
+
+  const variant = (input, direction) => {
+    const moved = moveValue(inputSpec(input), input.value, step, direction);
+    const change = moved === input.value ? {} : moveParams(params, input, moved);
+    progress();
+    const value = inputValue({ ...params, ...change }, input);
+    if (value === input.value) return null;
+
+    const result = measure({ ...params, ...change }, seed, runs);
+    return {
+      value,
+      change,
+      ...result,
+      successDelta: result.successRate - baseline.successRate,
+      legacyDelta: result.medianEndWealth - baseline.medianEndWealth,
+    };
+  };
+
+  return {
+    step,
+    simulations: runs,
+    baseline,
+    inputs: inputs.map(input => ({
+      ...input,
+      down: variant(input, -1),
+      up: variant(input, 1),
+    })),
+  };
+};
@@ -0,0 +1,19 @@
+import { runSensitivity } from './sensitivity.js';
+
+/**
+ * SENSITIVITY WORKER
+ *
+ * Runs the sensitivity analysis off the main thread. Messages echo the
+ * request's `id`, like the simulation worker's.
+ */
+
+self.onmessage = (event) => {
+  const { id, params, step } = event.data;
+
+  const results = runSensitivity(params, {
+    step,
+    onProgress: (progress) => self.postMessage({ id, type: 'progress', progress }),
+  });
+
+  self.postMessage({ id, type: 'result', results });
+};
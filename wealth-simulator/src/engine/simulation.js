@@ -0,0 +1,671 @@
+import { createRng, deriveSeed } from './random.js';
+import { createReturnGenerator } from './returns.js';
+import { ACCOUNTS, allocationSchedule, portfolioReturn } from './portfolio.js';
+import { createWithdrawalStrategy } from './withdrawalStrategies.js';
+import { withdrawNet, convertToRoth } from './withdrawalOrder.js';
+import { incomeTax } from './tax.js';
+import { mandatoryWithdrawal } from './mandatoryWithdrawals.js';
+import { lifeEventSchedule, eventFlow } from './lifeEvents.js';
+import { contributionSchedule, capContributions } from './contributions.js';
+import { incomeStreamSchedule } from './incomeStreams.js';
+import { deathAges, deathCurves, sampleDeathAges, lastAge, memberAge } from './household.js';
+import { spendingSchedule, sampleLongTermCare } from './spending.js';
+import { PERCENTILES, pathOutcome, percentileOf } from './outcomes.js';
+import { stressSchedule } from './stress.js';
+
+/**
+ * MONTE CARLO ENGINE
+ *
+ * Pure functions only: no React, no DOM. Given the same params and seed,
+ * runSimulation always returns the same results.
+ */
+
+export const DEFAULT_SIMULATIONS = 1000;
+
+const sumBalances = (balances) => balances.taxable + balances.pretax + balances.roth;
+
+// Nobody needs long-term care (the default for a path)
+const NO_CARE = { primary: null, partner: null };
+
+// Long-term care cost for one member's stay at `age`
+const careCost = (params, stay, age) => (stay && age >= stay.from && age <= stay.to ? params.ltcAnnualCost : 0);
+
+// Deposit this year's life-event inflows into their accounts (untaxed).
+// Returns the amount deposited.
+const depositEventInflows = (balances, lifeEvents, year, unindexed) => {
+  let deposited = 0;
+  for (let i = 0; i < ACCOUNTS.length; i++) {
+    const account = ACCOUNTS[i];
+    const inflow = eventFlow(lifeEvents[account], 'inflow', year, unindexed);
+    if (inflow > 0) {
+      balances[account] += inflow;
+      if (account === 'taxable') balances.taxableBasis += inflow;
+      deposited += inflow;
+    }
+  }
+  return deposited;
+};
+
+// Pay this year's life-event expenses, each from its own account first.
+// `unfunded` is what the portfolio couldn't pay.
+const payEventOutflows = (params, balances, lifeEvents, year, unindexed, income) => {
+  let tax = 0;
+  let paid = 0;
+  let unfunded = 0;
+  for (let i = 0; i < ACCOUNTS.length; i++) {
+    const outflow = eventFlow(lifeEvents[ACCOUNTS[i]], 'outflow', year, unindexed);
+    if (outflow > 0) {
+      const result = withdrawNet(params, balances, outflow, income, ACCOUNTS[i]);
+      income = result.income;
+      tax += result.tax;
+      paid += outflow;
+      unfunded += Math.max(0, outflow - result.net);
+    }
+  }
+  return { income, tax, paid, unfunded };
+};
+
+// Household net worth today, including the partner's own accounts
+const startingNetWorth = (params) => (
+  params.taxableBalance + params.preTaxBalance + params.rothBalance
+  + (params.household ? params.partnerPreTaxBalance + params.partnerRothBalance : 0)
+);
+
+// Everything about a scenario that doesn't depend on the path, by age.
+// Built once per run and shared across paths. `stress` is an optional stress
+// test (see stress.js) forced onto every path.
+export const pathSchedules = (params, stress = null) => {
+  const endAge = lastAge(params);
+  return {
+    allocations: allocationSchedule(params, params.currentAge, endAge),
+    lifeEvents: lifeEventSchedule(params, params.currentAge, endAge),
+    contributions: contributionSchedule(params, params.currentAge, endAge),
+    incomeStreams: incomeStreamSchedule(params, params.currentAge, endAge),
+    spending: spendingSchedule(params, params.currentAge, endAge),
+    deathCurves: deathCurves(params),
+    stress: stressSchedule(params, stress, params.currentAge, endAge),
+  };
+};
+
+// Simulate a single path until the last death. Returns per-year balances,
+// spending and taxes.
+export const simulatePath = (params, rng, schedules = pathSchedules(params), deaths = deathAges(params), care = NO_CARE) => {
+  const yearsToSimulate = Math.min(lastAge(params), Math.max(deaths.primary, deaths.partner)) - params.currentAge;
+  const { allocations, lifeEvents, contributions, incomeStreams, spending, stress } = schedules;
+  const streams = params.incomeStreams;
+
+  // Track balances for this single run
+  const run = {
+    taxable: [],
+    pretax: [],
+    roth: [],
+    total: [],
+    spending: [],    // Essential + discretionary + healthcare
+    essential: [],
+    discretionary: [],
+    healthcare: [],  // Including long-term care
+    longTermCare: [],
+    shortfall: [],   // Spending and event expenses the portfolio couldn't fund
+    spendingCut: [], // Spent less than the full target (essential + discretionary)
+    belowMinimum: [], // Spent less than Min Spending
+    withdrawal: [],  // Net (after-tax) amount drawn from the portfolio
+    fixedIncome: [],  // All income streams
+    incomeStreams: streams.map(() => []), // Each stream, real $
+    bridgeIncome: [],
+    contributions: [],
+    tax: [],
+    income: [],      // Taxable income (fixed income, pre-tax withdrawals, gains, conversions)
+    conversion: [],  // Pre-Tax moved to Roth
+    mandatory: [],   // Required minimum taken from Pre-Tax
+    mandatoryBinding: [], // Minimum exceeded what spending needed
+    lifeEvents: [],  // Net life-event flow (+ inflows, - expenses)
+    marketReturn: [],
+    stocks: [],
+    bonds: [],
+    cash: [],
+    priceLevel: [],  // Nominal $ per real $ (cumulative inflation)
+    isRetired: [],
+    primaryAlive: [],
+    partnerAlive: [],
+  };
+
+  // Initialize Balances (a couple's Pre-Tax and Roth are pooled)
+  const balances = {
+    taxable: params.taxableBalance,
+    pretax: params.preTaxBalance + (params.household ? params.partnerPreTaxBalance : 0),
+    roth: params.rothBalance + (params.household ? params.partnerRothBalance : 0),
+    // Cost basis of Taxable: what was paid in, drawn down in proportion on each sale
+    taxableBasis: params.taxableCostBasis,
+  };
+
+  const nextReturns = createReturnGenerator(params, rng);
+  const withdrawalStrategy = createWithdrawalStrategy(params);
+
+  // Everything is in today's (real) dollars; amounts that aren't indexed to
+  // inflation lose real value as prices rise.
+  let priceLevel = 1;
+  // Price level at each stream's first payment; non-indexed streams are frozen there
+  const streamStartPriceLevels = streams.map(() => null);
+
+  for (let year = 0; year <= yearsToSimulate; year++) {
+    const age = params.currentAge + year;
+    const primaryAlive = age <= deaths.primary;
+    const partnerAlive = age <= deaths.partner;
+    const partnerAge = memberAge(params, 'partner', age);
+    // Spending starts once the surviving (or primary) member has retired
+    const isRetired = primaryAlive ? age >= params.retirementAge : partnerAge >= params.partnerRetirementAge;
+    // After the first death the survivor spends a share of the couple's budget
+    const spendingScale = params.household && !(primaryAlive && partnerAlive)
+      ? params.survivorSpendingRatio / 100
+      : 1;
+
+    // Snapshot previous balance (for Dynamic Spending logic)
+    const startTotal = sumBalances(balances);
+    const startPreTax = balances.pretax;
+
+    // 1. Draw this year's Real Returns (per asset class) from the selected return model.
+    // A stress test overrides the draw; it's still taken so later years don't shift.
+    const drawn = nextReturns();
+    const assetReturns = stress && stress[year] ? { ...drawn, ...stress[year] } : drawn;
+
+    // 2. Apply Growth. Each account holds the mix it was rebalanced to last year.
+    if (year > 0) {
+      balances.taxable *= (1 + portfolioReturn(allocations.taxable[year - 1], assetReturns));
+      balances.pretax  *= (1 + portfolioReturn(allocations.pretax[year - 1], assetReturns));
+      balances.roth    *= (1 + portfolioReturn(allocations.roth[year - 1], assetReturns));
+
+      // Cost basis is fixed in nominal dollars, so inflation erodes it in real terms
+      priceLevel *= 1 + assetReturns.inflation;
+      balances.taxableBasis /= 1 + assetReturns.inflation;
+    }
+    // Real value of this year's non-indexed amounts
+    const unindexed = 1 / priceLevel;
+    // Spending targets, for a survivor and (if not indexed) eroded by inflation
+    const budgetScale = spendingScale * (params.spendingIndexed ? 1 : unindexed);
+    const grownTotal = sumBalances(balances);
+
+    // 3. Cashflows
+    let actualSpendingForYear = 0;
+    let essentialForYear = 0;
+    let discretionaryForYear = 0;
+    let healthcareForYear = 0;
+    let longTermCareForYear = 0;
+    let withdrawalForYear = 0;
+    let shortfallForYear = 0;
+    let eventShortfallForYear = 0;
+    let targetForYear = 0;
+    let taxForYear = 0;
+    let conversionForYear = 0;
+    let fixedIncomeForYear = 0;
+    let bridgeIncomeForYear = 0;
+    let mandatoryForYear = 0;
+    let mandatoryBinding = false;
+    let lifeEventsForYear = 0;
+    let contributionsForYear = 0;
+    let income = { ordinary: 0, capitalGains: 0, priceLevel: params.taxBracketsIndexed ? 1 : priceLevel };
+
+    // --- FIXED INCOME STREAMS ---
+    for (let k = 0; k < streams.length; k++) {
+      let amount = year > 0 ? incomeStreams[k][year] : 0;
+      if (amount > 0) {
+        if (streamStartPriceLevels[k] === null) streamStartPriceLevels[k] = priceLevel;
+        if (!streams[k].indexed) amount *= streamStartPriceLevels[k] / priceLevel;
+        // Survivor benefit once the owner has died
+        const ownerAlive = params.household && streams[k].owner === 'partner' ? partnerAlive : primaryAlive;
+        if (!ownerAlive) amount *= (streams[k].survivorPercent ?? 0) / 100;
+        fixedIncomeForYear += amount;
+        income.ordinary += amount * (streams[k].taxablePercent / 100);
+      }
+      run.incomeStreams[k].push(amount);
+    }
+
+    if (year > 0) {
+      // --- MANDATORY WITHDRAWALS (RMD / RRIF) ---
+      // Taken whether or not the money is needed; taxed as ordinary income.
+      // Based on the primary's age, or the survivor's once the primary has died.
+      const ownerAge = primaryAlive ? age : partnerAge;
+      mandatoryForYear = mandatoryWithdrawal(params, ownerAge, startPreTax, balances.pretax);
+      balances.pretax -= mandatoryForYear;
+      income.ordinary += mandatoryForYear;
+
+      // Net amount spending needs from the portfolio (income before retirement is saved)
+      let portfolioNeed = -fixedIncomeForYear;
+
+      // --- ACCUMULATION ---
+      // Each member saves until their own retirement (schedules are zero after)
+      const contributionScale = params.contributionsIndexed ? 1 : unindexed;
+      // Caps fixed in dollars shrink in real terms; indexed ones are already in the schedule
+      const nominalCaps = params.contributionCaps && !params.contributionCapsIndexed;
+      const savers = [];
+      if (primaryAlive) savers.push(contributions);
+      if (partnerAlive) savers.push(contributions.partner);
+      for (let i = 0; i < savers.length; i++) {
+        let saved = {
+          taxable: savers[i].taxable[year] * contributionScale,
+          pretax: savers[i].pretax[year] * contributionScale,
+          roth: savers[i].roth[year] * contributionScale,
+        };
+        if (nominalCaps) saved = capContributions(params, saved, unindexed);
+        const { taxable: toTaxable, pretax: toPreTax, roth: toRoth } = saved;
+        balances.taxable += toTaxable;
+        balances.taxableBasis += toTaxable;
+        balances.pretax += toPreTax;
+        balances.roth += toRoth;
+        contributionsForYear += toTaxable + toPreTax + toRoth;
+      }
+
+      if (isRetired) {
+        // --- DECUMULATION (Selected Withdrawal Strategy) ---
+
+        // Part-time bridge income, if in that phase (fully taxable)
+        bridgeIncomeForYear = primaryAlive ? contributions.bridgeIncome[year] * (params.bridgeIncomeIndexed ? 1 : unindexed) : 0;
+        income.ordinary += bridgeIncomeForYear;
+
+        const plan = withdrawalStrategy({
+          age: ownerAge,
+          balance: grownTotal,
+          gain: grownTotal - startTotal, // Real Dollar Gain
+          fixedIncome: fixedIncomeForYear + bridgeIncomeForYear,
+          spendingScale: budgetScale,
+          discretionaryScale: spending.discretionary[year],
+        });
+
+        // Healthcare and long-term care for each living member, on top of the plan
+        if (primaryAlive) {
+          healthcareForYear += spending.healthcare.primary[year];
+          longTermCareForYear += careCost(params, care.primary, age);
+        }
+        if (partnerAlive) {
+          healthcareForYear += spending.healthcare.partner[year];
+          longTermCareForYear += careCost(params, care.partner, age);
+        }
+        healthcareForYear += longTermCareForYear;
+
+        targetForYear = (params.minSpending + params.discretionarySpending * spending.discretionary[year]) * budgetScale;
+        essentialForYear = Math.min(plan.spending, params.minSpending * budgetScale);
+        discretionaryForYear = plan.spending - essentialForYear;
+        actualSpendingForYear = plan.spending + healthcareForYear;
+        withdrawalForYear = plan.withdrawal + healthcareForYear;
+        portfolioNeed = withdrawalForYear;
+      }
+
+      // --- LIFE EVENTS ---
+      lifeEventsForYear += depositEventInflows(balances, lifeEvents, year, unindexed);
+
+      // --- EXECUTE CASH FLOW ---
+
+      // Tax on fixed income and the mandatory withdrawal comes out of this year's cash flow
+      taxForYear = incomeTax(params, income);
+      const need = portfolioNeed + taxForYear - mandatoryForYear;
+
+      if (need < 0) {
+        // SURPLUS: Pension or mandatory withdrawal > Spending. Reinvest surplus into Taxable Account.
+        balances.taxable += Math.abs(need);
+        balances.taxableBasis += Math.abs(need);
+      } else if (need > 0) {
+        // WITHDRAWAL: selected order, grossed up for tax
+        const result = withdrawNet(params, balances, need, income);
+        income = result.income;
+        taxForYear += result.tax;
+        shortfallForYear = Math.max(0, need - result.net);
+      }
+      mandatoryBinding = mandatoryForYear > 0 && need <= 0;
+
+      // Event expenses come out of their own account first
+      const events = payEventOutflows(params, balances, lifeEvents, year, unindexed, income);
+      income = events.income;
+      taxForYear += events.tax;
+      lifeEventsForYear -= events.paid;
+      eventShortfallForYear = events.unfunded;
+
+      // --- ROTH CONVERSIONS ---
+      const conversion = convertToRoth(params, balances, age, income);
+      conversionForYear = conversion.converted;
+      taxForYear += conversion.tax;
+      income = conversion.income;
+    } else {
+      // Today: no growth, saving or spending yet, but events dated now happen
+      lifeEventsForYear += depositEventInflows(balances, lifeEvents, year, unindexed);
+      const events = payEventOutflows(params, balances, lifeEvents, year, unindexed, income);
+      income = events.income;
+      taxForYear = events.tax;
+      lifeEventsForYear -= events.paid;
+      eventShortfallForYear = events.unfunded;
+    }
+
+    // Floor at 0 (should be handled by logic above, but safety check)
+    if (balances.taxable < 0) balances.taxable = 0;
+    if (balances.taxable === 0) balances.taxableBasis = 0;
+    if (balances.pretax < 0) balances.pretax = 0;
+    if (balances.roth < 0) balances.roth = 0;
+
+    // Rebalance every account to this age's target mix
+    const wTaxable = allocations.taxable[year];
+    const wPreTax = allocations.pretax[year];
+    const wRoth = allocations.roth[year];
+
+    // Store for path
+    run.stocks.push(balances.taxable * wTaxable.stocks + balances.pretax * wPreTax.stocks + balances.roth * wRoth.stocks);
+    run.bonds.push(balances.taxable * wTaxable.bonds + balances.pretax * wPreTax.bonds + balances.roth * wRoth.bonds);
+    run.cash.push(balances.taxable * wTaxable.cash + balances.pretax * wPreTax.cash + balances.roth * wRoth.cash);
+    run.taxable.push(balances.taxable);
+    run.pretax.push(balances.pretax);
+    run.roth.push(balances.roth);
+    run.total.push(sumBalances(balances));
+    run.spending.push(actualSpendingForYear); // Store for history
+    run.essential.push(essentialForYear);
+    run.discretionary.push(discretionaryForYear);
+    run.healthcare.push(healthcareForYear);
+    run.longTermCare.push(longTermCareForYear);
+    // An unfunded need comes out of living spending; healthcare is paid first.
+    // Event expenses are paid after living spending, so theirs isn't a cut.
+    const spent = year > 0 && isRetired;
+    const fundedSpending = actualSpendingForYear - healthcareForYear - shortfallForYear;
+    run.shortfall.push(shortfallForYear + eventShortfallForYear);
+    run.spendingCut.push(spent && fundedSpending < targetForYear - 1);
+    run.belowMinimum.push(spent && fundedSpending < params.minSpending * budgetScale - 1);
+    run.withdrawal.push(withdrawalForYear);
+    run.fixedIncome.push(fixedIncomeForYear);
+    run.bridgeIncome.push(bridgeIncomeForYear);
+    run.contributions.push(contributionsForYear);
+    run.tax.push(taxForYear);
+    run.income.push(income.ordinary + income.capitalGains);
+    run.conversion.push(conversionForYear);
+    run.mandatory.push(mandatoryForYear);
+    run.mandatoryBinding.push(mandatoryBinding);
+    run.lifeEvents.push(lifeEventsForYear);
+    run.priceLevel.push(priceLevel);
+    run.isRetired.push(isRetired);
+    run.primaryAlive.push(primaryAlive);
+    run.partnerAlive.push(partnerAlive);
+    run.marketReturn.push(startTotal > 0 ? (grownTotal - startTotal) / startTotal : 0);
+  }
+
+  return run;
+};
+
+// Build the stacked chart data and the yearly table for one path
+const buildPathDetail = (params, run) => {
+  const medianData = [];
+  for (let i = 0; i < run.total.length; i++) {
+    medianData.push({
+      age: params.currentAge + i,
+      taxable: run.taxable[i],
+      pretax: run.pretax[i],
+      roth: run.roth[i],
+      stocks: run.stocks[i],
+      bonds: run.bonds[i],
+      cash: run.cash[i],
+      total: run.total[i],
+      priceLevel: run.priceLevel[i],
+    });
+  }
+
+  const tableData = [];
+
+  for (let i = 1; i < medianData.length; i++) {
+    const current = medianData[i];
+    const prev = medianData[i-1];
+    const startBalance = prev.total;
+    const endBalance = current.total;
+    const age = current.age;
+
+    const isRetired = run.isRetired[i];
+
+    // Use recorded spending and withdrawal from the run
+    const recordedSpending = run.spending[i];
+    const withdrawal = run.withdrawal[i];
+
+    // Market return actually earned this year (before cash flows)
+    const returnPct = run.marketReturn[i] * 100;
+
+    tableData.push({
+      age,
+      startBalance,
+      endBalance,
+      change: endBalance - startBalance,
+      returnPct,
+      spendingNeed: recordedSpending,
+      essential: run.essential[i],
+      discretionary: run.discretionary[i],
+      healthcare: run.healthcare[i],
+      longTermCare: run.longTermCare[i],
+      withdrawal,
+      // Share of the portfolio drawn this year
+      withdrawalRate: isRetired && startBalance > 0 ? (withdrawal / startBalance) * 100 : 0,
+      tax: run.tax[i],
+      taxableIncome: run.income[i],
+      effectiveTaxRate: run.income[i] > 0 ? (run.tax[i] / run.income[i]) * 100 : 0,
+      conversion: run.conversion[i],
+      mandatory: run.mandatory[i],
+      mandatoryBinding: run.mandatoryBinding[i],
+      lifeEvents: run.lifeEvents[i],
+      fixedIncome: run.fixedIncome[i],
+      incomeStreams: run.incomeStreams.map((amounts) => amounts[i]),
+      bridgeIncome: run.bridgeIncome[i],
+      contributions: run.contributions[i],
+      primaryAlive: run.primaryAlive[i],
+      partnerAlive: run.partnerAlive[i],
+      isRetired
+    });
+  }
+
+  return { medianData, tableData };
+};
+
+// Same rows in nominal dollars, using the path's own inflation
+const toNominal = (medianData) => medianData.map((row) => {
+  const nominal = { ...row };
+  ['taxable', 'pretax', 'roth', 'stocks', 'bonds', 'cash', 'total'].forEach((key) => {
+    nominal[key] = row[key] * row.priceLevel;
+  });
+  return nominal;
+});
+
+// Ages with fewer paths still alive than this share are left off the bands
+const MIN_ALIVE_SHARE = 0.01;
+
+// Each of PERCENTILES (as p5, p10, ...) of each year across the paths still
+// alive that year. `values` is path-major; `lengths` is how many years each
+// path lasted.
+const percentileBands = (values, lengths, simulations, yearCount, firstAge) => {
+  const bands = [];
+  const yearValues = new Float64Array(simulations);
+  for (let i = 0; i < yearCount; i++) {
+    let count = 0;
+    for (let sim = 0; sim < simulations; sim++) {
+      if (lengths[sim] > i) yearValues[count++] = values[sim * yearCount + i];
+    }
+    if (count === 0 || count < simulations * MIN_ALIVE_SHARE) break;
+    const alive = yearValues.subarray(0, count).sort();
+    const band = { age: firstAge + i };
+    for (let k = 0; k < PERCENTILES.length; k++) band[`p${PERCENTILES[k]}`] = percentileOf(alive, PERCENTILES[k]);
+    bands.push(band);
+  }
+  return bands;
+};
+
+// Share of all paths (in %) still alive, and alive with nothing left, at each age
+const depletionCurve = (totals, lengths, simulations, yearCount, firstAge) => {
+  const curve = [];
+  for (let i = 0; i < yearCount; i++) {
+    let alive = 0;
+    let depleted = 0;
+    for (let sim = 0; sim < simulations; sim++) {
+      if (lengths[sim] <= i) continue;
+      alive++;
+      if (totals[sim * yearCount + i] < 1) depleted++;
+    }
+    if (alive === 0) break;
+    curve.push({
+      age: firstAge + i,
+      alive: (alive / simulations) * 100,
+      depleted: (depleted / simulations) * 100,
+    });
+  }
+  return curve;
+};
+
+// Rerun a single path from its index. Paths are seeded individually, so this
+// reproduces the exact run without keeping every path in memory. Death ages
+// and long-term care come from their own streams so markets match with or
+// without them.
+export const replayPath = (params, seed, sim, schedules = pathSchedules(params)) => {
+  const pathSeed = deriveSeed(seed, sim);
+  const deaths = sampleDeathAges(params, schedules.deathCurves, createRng(deriveSeed(pathSeed, 1)));
+  const care = sampleLongTermCare(params, deaths, createRng(deriveSeed(pathSeed, 2)));
+  return simulatePath(params, createRng(pathSeed), schedules, deaths, care);
+};
+
+// Rebuild the composition chart and yearly table of any path by its index
+// (e.g. from `ranking`), in real and nominal dollars
+export const explorePath = (params, seed, sim) => {
+  const { medianData, tableData } = buildPathDetail(params, replayPath(params, seed, sim));
+  return { data: medianData, nominalData: toNominal(medianData), tableData };
+};
+
+// How often (in paths) to report progress
+const PROGRESS_INTERVAL = 500;
+
+// Paths kept whole (evenly spread by final wealth) for the spaghetti overlay
+const SAMPLE_PATHS = 40;
+
+// Totals by age of SAMPLE_PATHS paths spread across `order`, with each
+// one's rank (percentile of final wealth)
+const samplePaths = (order, totals, nominalTotals, lengths, yearCount) => {
+  const count = Math.min(SAMPLE_PATHS, order.length);
+  const samples = [];
+  for (let k = 0; k < count; k++) {
+    const position = Math.floor(((k + 0.5) / count) * order.length);
+    const sim = order[position];
+    const start = sim * yearCount;
+    samples.push({
+      rank: (position / order.length) * 100,
+      total: Array.from(totals.subarray(start, start + lengths[sim])),
+      nominalTotal: Array.from(nominalTotals.subarray(start, start + lengths[sim])),
+    });
+  }
+  return samples;
+};
+
+/**
+ * Run the full Monte Carlo.
+ *
+ * @param {object} params  Scenario inputs (see DEFAULT_PARAMS in App.jsx)
+ * @param {object} options
+ * @param {number} options.seed           Base seed; path `i` uses deriveSeed(seed, i)
+ * @param {number} [options.simulations]  Number of paths to run
+ * @param {function} [options.onProgress] Called with the completed fraction (0-1)
+ * @param {object} [options.stress]     Stress test forced onto every path (see stress.js)
+ * @param {boolean} [options.includePaths] Also return every path's totals as
+ *   `paths: { totals, lengths, yearCount }` (path-major, real $)
+ *
+ * `ranking` is every path index ordered by final wealth (worst first), for
+ * explorePath; `samplePaths` are a few of them kept whole for charting.
+ * @returns {{ probabilityData, nominalProbabilityData, depletionData, medianData, nominalMedianData, tableData,
+ *   successRate, medianEndWealth, survivalAge, shortfallRate, expectedShortfall, medianCutYears,
+ *   worstDecadeDrawdown, ranking, samplePaths, paths? }}
+ */
+export const runSimulation = (params, { seed, simulations = DEFAULT_SIMULATIONS, onProgress, includePaths = false, stress = null }) => {
+  const yearCount = lastAge(params) - params.currentAge + 1;
+  const startTotalNetWorth = startingNetWorth(params);
+
+  // Only the total wealth of each path is kept (path-major), the median path
+  // is replayed afterwards for its full breakdown. Paths end at their last
+  // death, so each one's final wealth is at its own death age.
+  const totals = new Float64Array(simulations * yearCount);
+  const nominalTotals = new Float64Array(simulations * yearCount);
+  const lengths = new Int32Array(simulations);
+  const finals = new Float64Array(simulations);
+  const successes = new Uint8Array(simulations);
+  const shortfalls = new Float64Array(simulations);
+  const cutYears = new Float64Array(simulations);
+  const drawdowns = new Float64Array(simulations);
+
+  const schedules = pathSchedules(params, stress);
+
+  for (let sim = 0; sim < simulations; sim++) {
+    const run = replayPath(params, seed, sim, schedules);
+    const length = run.total.length;
+    totals.set(run.total, sim * yearCount);
+    for (let i = 0; i < length; i++) {
+      nominalTotals[sim * yearCount + i] = run.total[i] * run.priceLevel[i];
+    }
+    lengths[sim] = length;
+    finals[sim] = run.total[length - 1];
+    const outcome = pathOutcome(params, run, startTotalNetWorth);
+    successes[sim] = outcome.success;
+    shortfalls[sim] = outcome.shortfall;
+    cutYears[sim] = outcome.cutYears;
+    drawdowns[sim] = outcome.drawdown;
+
+    if (onProgress && (sim + 1) % PROGRESS_INTERVAL === 0) {
+      onProgress((sim + 1) / simulations);
+    }
+  }
+
+  // --- 1. Calculate Aggregates (Probability Cone) ---
+  // Nominal percentiles are taken separately: with stochastic inflation the
+  // paths don't share one price level.
+  const probabilityData = percentileBands(totals, lengths, simulations, yearCount, params.currentAge);
+  const nominalProbabilityData = percentileBands(nominalTotals, lengths, simulations, yearCount, params.currentAge);
+  const depletionData = depletionCurve(totals, lengths, simulations, yearCount, params.currentAge);
+
+  // --- 2. Find the Median Run (for Breakdown Chart) ---
+  // Rank all runs by their FINAL total wealth to find a representative "Median Scenario"
+  const order = Array.from({ length: simulations }, (_, sim) => sim);
+  order.sort((a, b) => finals[a] - finals[b] || a - b);
+
+  const medianIndex = order[Math.floor(simulations * 0.5)];
+  const medianRun = replayPath(params, seed, medianIndex, schedules);
+
+  // --- 3. Build Stacked Data and Detailed Table Data ---
+  const { medianData, tableData } = buildPathDetail(params, medianRun);
+
+  // --- 4. Success Criteria & KPIs ---
+  // Success follows params.successDefinition, survival age uses the low band line
+  let successCount = 0;
+  let shortfallCount = 0;
+  let shortfallSum = 0;
+  for (let sim = 0; sim < simulations; sim++) {
+    successCount += successes[sim];
+    if (shortfalls[sim] > 1) {
+      shortfallCount++;
+      shortfallSum += shortfalls[sim];
+    }
+  }
+  const successRate = (successCount / simulations) * 100;
+
+  const lowBand = `p${params.bandPercentile}`;
+  let survivalAge;
+  const failYearIndex = probabilityData.findIndex(d => d[lowBand] <= 0);
+  if (failYearIndex !== -1) {
+    survivalAge = probabilityData[failYearIndex].age;
+  } else {
+    survivalAge = `${probabilityData[probabilityData.length - 1].age}+`;
+  }
+
+  const results = {
+    probabilityData,
+    nominalProbabilityData,
+    depletionData,
+    medianData,
+    nominalMedianData: toNominal(medianData),
+    tableData,
+    successRate,
+    // Median wealth at death (the last year for fixed lifespans)
+    medianEndWealth: finals[medianIndex],
+    survivalAge,
+    // Share of paths with spending the portfolio couldn't fund, and the
+    // average lifetime total unfunded in those paths
+    shortfallRate: (shortfallCount / simulations) * 100,
+    expectedShortfall: shortfallCount > 0 ? shortfallSum / shortfallCount : 0,
+    medianCutYears: percentileOf(cutYears.sort(), 50),
+    // Median across paths of each path's worst DRAWDOWN_YEARS fall (%)
+    worstDecadeDrawdown: percentileOf(drawdowns.sort(), 50) * 100,
+    ranking: Int32Array.from(order),
+    samplePaths: samplePaths(order, totals, nominalTotals, lengths, yearCount),
+  };
+  if (includePaths) results.paths = { totals, lengths, yearCount };
+  return results;
+};
@@ -0,0 +1,22 @@
+import { runSimulation } from './simulation.js';
+
+/**
+ * SIMULATION WORKER
+ *
+ * Runs the engine off the main thread. Each request carries an `id` that is
+ * echoed back on every message so the UI can ignore replies to stale runs.
+ */
+
+self.onmessage = (event) => {
+  const { id, params, seed, simulations, includePaths, stress } = event.data;
+
+  const results = runSimulation(params, {
+    seed,
+    simulations,
+    includePaths,
+    stress,
+    onProgress: (progress) => self.postMessage({ id, type: 'progress', progress }),
+  });
+
+  self.postMessage({ id, type: 'result', results });
+};
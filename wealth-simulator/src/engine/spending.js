@@ -0,0 +1,77 @@
+import { memberAge, MEMBERS } from './household.js';
+
+/**
+ * SPENDING PHASES & HEALTHCARE
+ *
+ * Retirement spending is rarely flat. Phases scale discretionary spending by
+ * age ("go-go", "slow-go", "no-go"); a phase is
+ * { label, startAge, endAge, multiplier } with the multiplier in percent.
+ * Phases only change strategies that spend a target (dynamic, constant
+ * dollar); the percentage strategies spend what the portfolio allows.
+ *
+ * Healthcare is a separate, non-negotiable line for each living member while
+ * retired: `healthcareCost` at 65, growing `healthcareCostGrowth`% for every
+ * year of age. Long-term care is an optional shock: from `ltcStartAge`, each
+ * member has an `ltcAnnualRisk`% chance a year of needing care, which then
+ * costs `ltcAnnualCost` a year for `ltcDuration` years (at most once).
+ */
+
+export const DEFAULT_SPENDING_PHASES = [
+  { label: 'Go-go', startAge: 65, endAge: 74, multiplier: 100 },
+  { label: 'Slow-go', startAge: 75, endAge: 84, multiplier: 75 },
+  { label: 'No-go', startAge: 85, endAge: 120, multiplier: 50 },
+];
+
+// Healthcare costs are entered at this age
+const HEALTHCARE_REFERENCE_AGE = 65;
+
+// Phase covering `age`, if any
+export const spendingPhaseAt = (params, age) => (
+  params.spendingPhases
+    ? params.spendingPhaseRanges.find(phase => age >= phase.startAge && age <= phase.endAge) || null
+    : null
+);
+
+// Multiplier on discretionary spending at `age`
+export const discretionaryMultiplier = (params, age) => {
+  const phase = spendingPhaseAt(params, age);
+  return phase ? Math.max(0, phase.multiplier) / 100 : 1;
+};
+
+// Yearly healthcare cost (today's $) for one person of `age`
+export const healthcareCostAt = (params, age) => (
+  params.healthcareCosts
+    ? params.healthcareCost * Math.pow(1 + params.healthcareCostGrowth / 100, age - HEALTHCARE_REFERENCE_AGE)
+    : 0
+);
+
+// Discretionary multipliers and each member's healthcare cost at every age
+// (primary's) from `firstAge` to `lastAge`, indexed by `age - firstAge`.
+export const spendingSchedule = (params, firstAge, lastAge) => {
+  const schedule = { discretionary: [], healthcare: { primary: [], partner: [] } };
+  for (let age = firstAge; age <= lastAge; age++) {
+    schedule.discretionary.push(discretionaryMultiplier(params, age));
+    MEMBERS.forEach((member) => {
+      schedule.healthcare[member].push(healthcareCostAt(params, memberAge(params, member, age)));
+    });
+  }
+  return schedule;
+};
+
+// One path's long-term care: the first and last age (primary's axis) of each
+// member's care, or null if they never need it.
+export const sampleLongTermCare = (params, deaths, rng) => {
+  const care = { primary: null, partner: null };
+  if (!params.longTermCare) return care;
+  MEMBERS.forEach((member) => {
+    const offset = memberAge(params, member, 0);
+    const firstAge = Math.max(params.currentAge + 1, params.ltcStartAge - offset);
+    for (let age = firstAge; age <= deaths[member]; age++) {
+      if (rng.next() < params.ltcAnnualRisk / 100) {
+        care[member] = { from: age, to: age + params.ltcDuration - 1 };
+        break;
+      }
+    }
+  });
+  return care;
+};
@@ -0,0 +1,87 @@
+import { HISTORICAL_RETURNS } from './data/historicalReturns.js';
+
+/**
+ * STRESS TESTS
+ *
+ * Deterministic market sequences forced onto every random path, to see how
+ * much a bad sequence around retirement costs. A stress test is
+ * { label, type, startAge, amount, years, crash }:
+ *   shock      - stocks return `amount`% (e.g. -30) in the year of `startAge`
+ *   lostDecade - every asset earns 0% real for `years` years from `startAge`
+ *   historical - the real returns of a named crash, replayed year by year
+ *                for `years` years from `startAge`
+ *
+ * Each path still draws its own returns for those years (and keeps them for
+ * the rest of its life), so outside the stress window a stressed path is the
+ * same market history as the unstressed one. Mean reversion doesn't see the
+ * forced years.
+ */
+
+export const STRESS_TYPES = [
+  { id: 'shock', label: 'One-year stock shock' },
+  { id: 'lostDecade', label: 'Lost decade (0% real)' },
+  { id: 'historical', label: 'Historical crash' },
+];
+
+export const HISTORICAL_CRASHES = [
+  { id: 'depression', label: 'Great Depression (1929)', year: 1929 },
+  { id: 'stagflation', label: 'Late-60s stagflation (1966)', year: 1966 },
+  { id: 'oilCrisis', label: 'Oil crisis (1973)', year: 1973 },
+  { id: 'dotCom', label: 'Dot-com bust (2000)', year: 2000 },
+  { id: 'financialCrisis', label: 'Financial crisis (2008)', year: 2008 },
+];
+
+// Stress tests shown at once (each gets its own chart colour)
+export const MAX_STRESS_TESTS = 4;
+
+export const newStressTest = (retirementAge) => ({
+  label: '-30% at retirement',
+  type: 'shock',
+  startAge: retirementAge,
+  amount: -30,
+  years: 10,
+  crash: 'financialCrisis',
+});
+
+// Ready-made stress tests offered in the editor
+export const stressPresets = (retirementAge) => [
+  newStressTest(retirementAge),
+  { ...newStressTest(retirementAge), label: 'Lost decade from retirement', type: 'lostDecade' },
+  { ...newStressTest(retirementAge), label: '2008 crash at retirement', type: 'historical', years: 5 },
+];
+
+// Ages the stress forces returns for
+export const stressAges = (stress) => {
+  if (stress.type === 'shock') return { from: stress.startAge, to: stress.startAge };
+  if (stress.type === 'historical') {
+    const crash = HISTORICAL_CRASHES.find(c => c.id === stress.crash) || HISTORICAL_CRASHES[0];
+    const available = HISTORICAL_RETURNS.length - HISTORICAL_RETURNS.findIndex(row => row.year === crash.year);
+    return { from: stress.startAge, to: stress.startAge + Math.min(stress.years, available) - 1 };
+  }
+  return { from: stress.startAge, to: stress.startAge + stress.years - 1 };
+};
+
+// Forced returns for one year of the stress window (`offset` years in)
+const forcedReturns = (params, stress, offset) => {
+  if (stress.type === 'shock') return { stocks: Math.max(-1, stress.amount / 100) };
+  if (stress.type === 'lostDecade') return { stocks: 0, bonds: 0, cash: 0 };
+
+  const crash = HISTORICAL_CRASHES.find(c => c.id === stress.crash) || HISTORICAL_CRASHES[0];
+  const row = HISTORICAL_RETURNS[HISTORICAL_RETURNS.findIndex(r => r.year === crash.year) + offset];
+  const forced = { stocks: row.stocks, bonds: row.bonds, cash: row.bills };
+  // Historical inflation only replaces a stochastic draw, like the historical models
+  if (params.inflationModel === 'stochastic') forced.inflation = row.inflation;
+  return forced;
+};
+
+// Forced returns by age from `firstAge` to `lastAge` (null for free years),
+// indexed by `age - firstAge`. No stress gives no schedule.
+export const stressSchedule = (params, stress, firstAge, lastAge) => {
+  if (!stress) return null;
+  const { from, to } = stressAges(stress);
+  const schedule = [];
+  for (let age = firstAge; age <= lastAge; age++) {
+    schedule.push(age >= from && age <= to ? forcedReturns(params, stress, age - from) : null);
+  }
+  return schedule;
+};
@@ -0,0 +1,123 @@
+/**
+ * TAXES
+ *
+ * Progressive income tax for one year. `ordinary` is fully taxable income
+ * (fixed income, pre-tax withdrawals, Roth conversions); `capitalGains` is the
+ * realized gain on taxable-account sales.
+ *
+ * A bracket table is a list of { from, rate } rows with ascending `from`
+ * thresholds (taxable income in today's dollars, rate in percent). Deductions
+ * and basic personal amounts are modelled as a 0% first bracket.
+ *
+ * Income is in real dollars. Thresholds that are indexed to inflation apply
+ * to it as-is; when they aren't, the income carries the year's `priceLevel`
+ * (nominal $ per real $), so it is compared with the thresholds in nominal
+ * dollars and bracket creep pushes it into higher brackets over time.
+ *
+ * Capital gains are taxed one of two ways:
+ *   brackets  - stacked on top of ordinary income and taxed with their own
+ *               table (US long-term gains)
+ *   inclusion - a share of the gain is added to ordinary income (Canada)
+ */
+
+export const TAX_SYSTEMS = [
+  { id: 'us', label: 'US federal (single)', gains: 'brackets' },
+  { id: 'canada', label: 'Canada federal + Ontario', gains: 'inclusion', regionLabel: 'Ontario' },
+  { id: 'flat', label: 'Flat rate', gains: 'inclusion' },
+];
+
+// Bracket tables loaded when a tax system is picked (2024 figures). They are
+// copied into params, where they can be edited.
+export const TAX_PRESETS = {
+  us: {
+    // Standard deduction $14,600
+    taxBrackets: [
+      { from: 0, rate: 0 },
+      { from: 14600, rate: 10 },
+      { from: 26200, rate: 12 },
+      { from: 61750, rate: 22 },
+      { from: 115125, rate: 24 },
+      { from: 206550, rate: 32 },
+      { from: 258325, rate: 35 },
+      { from: 623950, rate: 37 },
+    ],
+    regionalTaxBrackets: [],
+    capitalGainsBrackets: [
+      { from: 0, rate: 0 },
+      { from: 61625, rate: 15 },
+      { from: 533500, rate: 20 },
+    ],
+  },
+  canada: {
+    // Basic personal amount $15,705
+    taxBrackets: [
+      { from: 0, rate: 0 },
+      { from: 15705, rate: 15 },
+      { from: 55867, rate: 20.5 },
+      { from: 111733, rate: 26 },
+      { from: 173205, rate: 29 },
+      { from: 246752, rate: 33 },
+    ],
+    // Ontario, basic personal amount $12,399 (surtax not modelled)
+    regionalTaxBrackets: [
+      { from: 0, rate: 0 },
+      { from: 12399, rate: 5.05 },
+      { from: 51446, rate: 9.15 },
+      { from: 102894, rate: 11.16 },
+      { from: 150000, rate: 12.16 },
+      { from: 220000, rate: 13.16 },
+    ],
+    capitalGainsBrackets: [],
+  },
+  flat: {
+    taxBrackets: [{ from: 0, rate: 30 }],
+    regionalTaxBrackets: [],
+    capitalGainsBrackets: [],
+  },
+};
+
+export const taxSystem = (params) => TAX_SYSTEMS.find(s => s.id === params.taxSystem) || TAX_SYSTEMS[0];
+
+// True when every threshold is higher than the one before
+export const bracketsValid = (brackets) => brackets.every((b, i) => i === 0 || b.from > brackets[i - 1].from);
+
+// Tax on `income` under one bracket table
+export const bracketTax = (brackets, income) => {
+  let tax = 0;
+  for (let i = 0; i < brackets.length && income > brackets[i].from; i++) {
+    const top = i + 1 < brackets.length ? Math.min(income, brackets[i + 1].from) : income;
+    tax += (top - brackets[i].from) * (brackets[i].rate / 100);
+  }
+  return tax;
+};
+
+// Tax on `amount` of income sitting on top of `base` income
+const stackedTax = (brackets, base, amount) => bracketTax(brackets, base + amount) - bracketTax(brackets, base);
+
+const ordinaryTax = (params, income) => (
+  bracketTax(params.taxBrackets, income) + bracketTax(params.regionalTaxBrackets, income)
+);
+
+// Tax in nominal dollars on nominal income
+const nominalTax = (params, ordinary, gains) => {
+  if (taxSystem(params).gains === 'brackets') {
+    return ordinaryTax(params, ordinary) + stackedTax(params.capitalGainsBrackets, Math.max(0, ordinary), gains);
+  }
+  const inclusion = params.capitalGainsInclusion / 100;
+  return ordinaryTax(params, ordinary + gains * inclusion);
+};
+
+// Tax in real dollars. `priceLevel` defaults to 1 (indexed thresholds).
+export const incomeTax = (params, { ordinary = 0, capitalGains = 0, priceLevel = 1 }) => {
+  const gains = Math.max(0, capitalGains);
+  return Math.max(0, nominalTax(params, ordinary * priceLevel, gains * priceLevel) / priceLevel);
+};
+
+// Extra tax caused by adding `extra` income on top of `base` income
+export const marginalTax = (params, base, extra) => (
+  incomeTax(params, {
+    ordinary: base.ordinary + (extra.ordinary || 0),
+    capitalGains: base.capitalGains + (extra.capitalGains || 0),
+    priceLevel: base.priceLevel,
+  }) - incomeTax(params, base)
+);
@@ -0,0 +1,207 @@
+import { marginalTax } from './tax.js';
+
+/**
+ * WITHDRAWAL ORDER & ROTH CONVERSIONS
+ *
+ * Decides which accounts fund a year's spending and moves money from Pre-Tax
+ * to Roth on the conversion schedule. Both work on a `balances` object
+ * ({ taxable, pretax, roth, taxableBasis }) that they update in place.
+ *
+ * Taxes are paid out of the same withdrawal, so the gross amount is found by
+ * iteration: withdraw need + tax, recompute the tax, repeat (see solveTax).
+ */
+
+export const WITHDRAWAL_ORDERS = [
+  { id: 'taxableFirst', label: 'Taxable → Pre-Tax → Roth' },
+  { id: 'preTaxFirst', label: 'Pre-Tax → Taxable → Roth' },
+  { id: 'rothBeforePreTax', label: 'Taxable → Roth → Pre-Tax' },
+  { id: 'proportional', label: 'Proportional to balances' },
+  { id: 'fillBracket', label: 'Fill low bracket from Pre-Tax first' },
+];
+
+export const ROTH_CONVERSION_MODES = [
+  { id: 'none', label: 'None' },
+  { id: 'fixed', label: 'Fixed amount' },
+  { id: 'bracket', label: 'Up to income ceiling' },
+];
+
+const SEQUENCES = {
+  taxableFirst: ['taxable', 'pretax', 'roth'],
+  preTaxFirst: ['pretax', 'taxable', 'roth'],
+  rothBeforePreTax: ['taxable', 'roth', 'pretax'],
+  fillBracket: ['taxable', 'pretax', 'roth'],
+};
+
+const MAX_ITERATIONS = 30;
+const TOLERANCE = 0.01; // $
+
+// Find the tax `t` such that taxFor(t) === t, where taxFor(t) is the tax owed
+// when withdrawing enough to also cover `t`. Plain fixed-point iteration
+// converges slowly at high marginal rates, so secant steps are used once two
+// points are known. Tax is piecewise linear, so this usually takes 2-3 steps.
+const solveTax = (taxFor) => {
+  let tax = 0;
+  let owed = taxFor(tax);
+  let prevTax = null;
+  let prevOwed = null;
+
+  for (let i = 0; i < MAX_ITERATIONS && Math.abs(owed - tax) >= TOLERANCE; i++) {
+    let next = owed;
+    if (prevTax !== null && tax !== prevTax) {
+      const slope = (owed - prevOwed) / (tax - prevTax);
+      if (slope < 1) next = tax + (owed - tax) / (1 - slope);
+    }
+    prevTax = tax;
+    prevOwed = owed;
+    tax = Math.max(0, next);
+    owed = taxFor(tax);
+  }
+
+  return tax;
+};
+
+// Share of a taxable-account sale that is a realized gain. Losses aren't
+// deducted, so a balance below its cost basis realizes no gain.
+const gainFraction = (balances) => (
+  balances.taxable > 0 ? Math.max(0, 1 - balances.taxableBasis / balances.taxable) : 0
+);
+
+// Sell from Taxable; the cost basis is drawn down in proportion to the sale
+const sellTaxable = (balances, amount) => {
+  if (balances.taxable > 0) {
+    balances.taxableBasis *= Math.max(0, 1 - amount / balances.taxable);
+  }
+  balances.taxable -= amount;
+};
+
+const incomeFrom = (balances, take) => ({
+  ordinary: take.pretax,
+  capitalGains: take.taxable * gainFraction(balances),
+});
+
+// Split a gross amount across accounts, without touching the balances.
+// `firstAccount` (optional) is drained before the withdrawal order applies.
+const allocateGross = (params, balances, gross, lowBracketRoom, firstAccount) => {
+  const take = { taxable: 0, pretax: 0, roth: 0 };
+  const order = params.withdrawalOrder;
+  let remaining = gross;
+
+  if (firstAccount) {
+    take[firstAccount] = Math.min(remaining, balances[firstAccount]);
+    remaining -= take[firstAccount];
+  }
+
+  if (order === 'proportional') {
+    const left = {
+      taxable: balances.taxable - take.taxable,
+      pretax: balances.pretax - take.pretax,
+      roth: balances.roth - take.roth,
+    };
+    const total = left.taxable + left.pretax + left.roth;
+    const fraction = total > 0 ? Math.min(1, remaining / total) : 0;
+    take.taxable += left.taxable * fraction;
+    take.pretax += left.pretax * fraction;
+    take.roth += left.roth * fraction;
+    return take;
+  }
+
+  if (order === 'fillBracket') {
+    take.pretax = Math.min(remaining, balances.pretax, lowBracketRoom);
+    remaining -= take.pretax;
+  }
+
+  const sequence = SEQUENCES[order] || SEQUENCES.taxableFirst;
+  for (let i = 0; i < sequence.length; i++) {
+    const account = sequence[i];
+    const amount = Math.min(remaining, balances[account] - take[account]);
+    take[account] += amount;
+    remaining -= amount;
+  }
+
+  return take;
+};
+
+/**
+ * Withdraw enough to net `netNeed` after tax.
+ *
+ * @param {object} baseIncome Income already taxable this year ({ ordinary, capitalGains, priceLevel })
+ * @param {string} [firstAccount] Account to draw from before following the withdrawal order
+ * @returns {{ take, gross, tax, net, income }} `income` includes baseIncome
+ */
+export const withdrawNet = (params, balances, netNeed, baseIncome, firstAccount) => {
+  const lowBracketRoom = Math.max(0, params.lowBracketCeiling - baseIncome.ordinary);
+
+  const taxFor = (tax) => marginalTax(
+    params, baseIncome, incomeFrom(balances, allocateGross(params, balances, netNeed + tax, lowBracketRoom, firstAccount))
+  );
+  const take = allocateGross(params, balances, netNeed + solveTax(taxFor), lowBracketRoom, firstAccount);
+  const extra = incomeFrom(balances, take);
+  const tax = marginalTax(params, baseIncome, extra);
+
+  sellTaxable(balances, take.taxable);
+  balances.pretax -= take.pretax;
+  balances.roth -= take.roth;
+
+  const gross = take.taxable + take.pretax + take.roth;
+  return {
+    take,
+    gross,
+    tax,
+    net: gross - tax,
+    income: {
+      ordinary: baseIncome.ordinary + extra.ordinary,
+      capitalGains: baseIncome.capitalGains + extra.capitalGains,
+      priceLevel: baseIncome.priceLevel,
+    },
+  };
+};
+
+export const isConversionYear = (params, age) => (
+  params.rothConversion !== 'none'
+  && age >= params.rothConversionStartAge
+  && age <= params.rothConversionEndAge
+);
+
+/**
+ * Convert Pre-Tax to Roth for this year, paying the tax from Taxable. Any tax
+ * Taxable can't cover is withheld from the conversion instead.
+ *
+ * @param {object} income This year's taxable income so far ({ ordinary, capitalGains, priceLevel })
+ * @returns {{ converted, tax, income }} `income` includes the conversion and the sale
+ */
+export const convertToRoth = (params, balances, age, income) => {
+  const none = { converted: 0, tax: 0, income };
+  if (!isConversionYear(params, age)) return none;
+
+  const target = params.rothConversion === 'bracket'
+    ? params.rothConversionCeiling - income.ordinary
+    : params.rothConversionAmount;
+  const amount = Math.min(Math.max(0, target), balances.pretax);
+  if (amount <= 0) return none;
+
+  const conversionIncome = {
+    ordinary: income.ordinary + amount,
+    capitalGains: income.capitalGains,
+    priceLevel: income.priceLevel,
+  };
+  const conversionTax = marginalTax(params, income, { ordinary: amount });
+
+  // Selling taxable assets to pay the bill realizes gains of its own
+  const fraction = gainFraction(balances);
+  const saleFor = (tax) => Math.min(balances.taxable, conversionTax + tax);
+  const sale = saleFor(solveTax((tax) => (
+    marginalTax(params, conversionIncome, { capitalGains: saleFor(tax) * fraction })
+  )));
+  const saleTax = marginalTax(params, conversionIncome, { capitalGains: sale * fraction });
+  const withheld = Math.max(0, conversionTax + saleTax - sale);
+
+  sellTaxable(balances, sale);
+  balances.pretax -= amount;
+  balances.roth += amount - withheld;
+
+  return {
+    converted: amount,
+    tax: conversionTax + saleTax,
+    income: { ...conversionIncome, capitalGains: income.capitalGains + sale * fraction },
+  };
+};
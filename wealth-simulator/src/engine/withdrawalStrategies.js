@@ -0,0 +1,115 @@
+/**
+ * WITHDRAWAL STRATEGIES
+ *
+ * A strategy decides each retired year how much to spend and therefore how
+ * much (after tax) to take from the portfolio. Strategies are created once per
+ * path because some of them (guardrails) carry state from year to year.
+ *
+ * Every strategy receives:
+ *   balance      - portfolio value after this year's growth
+ *   gain         - growth since last year (real $)
+ *   fixedIncome  - pension etc. received this year
+ *   spendingScale - multiplier on the spending targets (e.g. the survivor
+ *                  ratio once one member of a couple has died)
+ *   discretionaryScale - extra multiplier on discretionary spending (the
+ *                  spending phase); only target-based strategies use it
+ * and returns { spending, withdrawal }, where a negative withdrawal is a
+ * surplus to reinvest. Min Spending is a floor for every strategy.
+ */
+
+export const WITHDRAWAL_STRATEGIES = [
+  { id: 'dynamic', label: 'Dynamic discretionary' },
+  { id: 'constantDollar', label: 'Constant dollar' },
+  { id: 'fixedPercent', label: 'Fixed % of portfolio' },
+  { id: 'guardrails', label: 'Guyton-Klinger guardrails' },
+  { id: 'vpw', label: 'Variable percentage (VPW)' },
+];
+
+// Spend the full target; cut discretionary (never essentials) in years where
+// the portfolio didn't grow enough to cover the withdrawal.
+const dynamicDiscretionary = (params) => ({ gain, fixedIncome, spendingScale = 1, discretionaryScale = 1 }) => {
+  // Base Requirements
+  const discretionary = params.discretionarySpending * spendingScale * discretionaryScale;
+  const baseTarget = params.minSpending * spendingScale + discretionary;
+
+  // The amount we MUST cover from portfolio (can be negative if pension > spending)
+  const portfolioNeed = baseTarget - fixedIncome;
+
+  // Check if "Bad Year" ONLY if we actually need to withdraw from portfolio
+  if (portfolioNeed > 0 && gain < portfolioNeed) {
+    // Allow cutting 100% of discretionary spending, never the essentials
+    const actualCut = Math.min(portfolioNeed - gain, discretionary);
+    return { spending: baseTarget - actualCut, withdrawal: portfolioNeed - actualCut };
+  }
+
+  return { spending: baseTarget, withdrawal: portfolioNeed };
+};
+
+// Same real spending every year, whatever the market does (the "4% rule" style)
+const constantDollar = (params) => ({ fixedIncome, spendingScale = 1, discretionaryScale = 1 }) => {
+  const spending = (params.minSpending + params.discretionarySpending * discretionaryScale) * spendingScale;
+  return { spending, withdrawal: spending - fixedIncome };
+};
+
+// Apply the Min Spending floor to a portfolio withdrawal
+const withFloor = (params, withdrawal, fixedIncome, spendingScale = 1) => {
+  const floored = Math.max(withdrawal, params.minSpending * spendingScale - fixedIncome);
+  return { spending: floored + fixedIncome, withdrawal: floored };
+};
+
+// A set percentage of the current balance
+const fixedPercent = (params) => ({ balance, fixedIncome, spendingScale }) => (
+  withFloor(params, balance * (params.withdrawalRate / 100), fixedIncome, spendingScale)
+);
+
+// Guyton-Klinger: start at an initial rate, keep the withdrawal constant in real
+// terms, but cut it when the current rate drifts above the upper guardrail and
+// raise it when it drops below the lower one. The carried withdrawal stays on
+// the household's full basis for the guardrail checks; each year's payout is
+// that times `spendingScale` (e.g. the survivor's share).
+const guardrails = (params) => {
+  const initialRate = params.guardrailInitialRate / 100;
+  const band = params.guardrailBand / 100;
+  const adjustment = params.guardrailAdjustment / 100;
+  let withdrawal = null;
+
+  return ({ balance, fixedIncome, spendingScale = 1 }) => {
+    if (withdrawal === null) {
+      withdrawal = balance * initialRate;
+    } else if (balance > 0) {
+      const currentRate = withdrawal / balance;
+      if (currentRate > initialRate * (1 + band)) {
+        withdrawal *= 1 - adjustment; // Capital preservation rule
+      } else if (currentRate < initialRate * (1 - band)) {
+        withdrawal *= 1 + adjustment; // Prosperity rule
+      }
+    }
+    return withFloor(params, withdrawal * spendingScale, fixedIncome, spendingScale);
+  };
+};
+
+// Variable percentage withdrawal: the annuity payment that would spend the
+// balance down to zero by the planning end age at the assumed return.
+export const vpwRate = (params, age) => {
+  const yearsLeft = Math.max(1, params.vpwEndAge - age + 1);
+  const r = params.vpwReturn / 100;
+  if (r === 0) return 1 / yearsLeft;
+  return r / (1 - Math.pow(1 + r, -yearsLeft));
+};
+
+const variablePercentage = (params) => ({ age, balance, fixedIncome, spendingScale }) => (
+  withFloor(params, balance * vpwRate(params, age), fixedIncome, spendingScale)
+);
+
+const STRATEGY_FACTORIES = {
+  dynamic: dynamicDiscretionary,
+  constantDollar,
+  fixedPercent,
+  guardrails,
+  vpw: variablePercentage,
+};
+
+// Returns a per-path function: ({ age, balance, gain, fixedIncome, spendingScale, discretionaryScale }) => { spending, withdrawal }
+export const createWithdrawalStrategy = (params) => (
+  (STRATEGY_FACTORIES[params.withdrawalStrategy] || dynamicDiscretionary)(params)
+);
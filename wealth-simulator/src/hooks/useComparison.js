@@ -0,0 +1,122 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Wait for typing to settle before queuing runs
+const DEBOUNCE_MS = 250;
+
+const createWorker = () => new Worker(
+  new URL('../engine/simulation.worker.js', import.meta.url),
+  { type: 'module' }
+);
+
+// Results are cached by the scenario's full params (and stress test, if any)
+const runKey = ({ params, stress }) => JSON.stringify({ params, stress: stress || null });
+
+// The part of a run the comparison needs
+const summarize = (results) => ({
+  probabilityData: results.probabilityData,
+  nominalProbabilityData: results.nominalProbabilityData,
+  successRate: results.successRate,
+  medianEndWealth: results.medianEndWealth,
+  survivalAge: results.survivalAge,
+});
+
+// The cached results of `keys` only (the same cache if nothing is dropped)
+const keepOnly = (cache, keys) => {
+  if (Object.keys(cache).every(key => keys.includes(key))) return cache;
+  const kept = {};
+  keys.forEach((key) => {
+    if (key in cache) kept[key] = cache[key];
+  });
+  return kept;
+};
+
+/**
+ * Run saved scenarios in their own Web Worker, one after the other, for the
+ * comparison overlay. Results are cached by params while a scenario is shown,
+ * so rerenders and reorders don't run it again.
+ *
+ * A scenario with a `stress` test is run with it forced onto every path
+ * (see stress.js), so the same hook drives the stress-test overlay.
+ *
+ * Runs are queued once the scenarios have settled. Queued runs for params no
+ * longer shown are dropped by replacing the worker (the engine loop is
+ * synchronous, so it can't be interrupted), and their results are forgotten.
+ *
+ * A run that throws is kept as an error (until its params change) rather
+ * than retried. The worker runs one request at a time, so the failed one is
+ * the oldest still pending; the rest are queued again on a fresh worker.
+ *
+ * @param {Array<{ id, name, params, stress? }>} scenarios
+ * @returns {Array<{ id, name, params, results, error }>} `results` is null
+ *   until ready; `error` is the engine's message if the run failed
+ */
+export default function useComparison(scenarios) {
+  const [cache, setCache] = useState({});
+
+  const workerRef = useRef(null);
+  // Keys posted to the worker and not answered yet
+  const pendingRef = useRef(new Set());
+  // Keys of the scenarios shown now
+  const wantedRef = useRef([]);
+
+  const keys = scenarios.map(runKey);
+  // JSON never contains a raw newline, so this is a safe separator
+  const wanted = keys.join('\n');
+  const missing = keys.filter(key => !(key in cache)).join('\n');
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const current = wanted ? wanted.split('\n') : [];
+      wantedRef.current = current;
+      setCache(prev => keepOnly(prev, current));
+
+      // Cancel runs nobody is waiting for
+      if ([...pendingRef.current].some(key => !current.includes(key))) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+        pendingRef.current.clear();
+      }
+      if (!missing) return;
+
+      if (!workerRef.current) {
+        workerRef.current = createWorker();
+        workerRef.current.onmessage = (event) => {
+          const message = event.data;
+          if (message.type !== 'result') return;
+          pendingRef.current.delete(message.id);
+          if (!wantedRef.current.includes(message.id)) return;
+          setCache(prev => ({ ...prev, [message.id]: summarize(message.results) }));
+        };
+        workerRef.current.onerror = (event) => {
+          const [failed] = pendingRef.current;
+          workerRef.current.terminate();
+          workerRef.current = null;
+          pendingRef.current.clear();
+          if (failed === undefined || !wantedRef.current.includes(failed)) return;
+          setCache(prev => ({ ...prev, [failed]: { error: event.message || 'The simulation failed' } }));
+        };
+      }
+
+      missing.split('\n').forEach((key) => {
+        if (pendingRef.current.has(key)) return;
+        pendingRef.current.add(key);
+        const { params, stress } = JSON.parse(key);
+        workerRef.current.postMessage({ id: key, params, stress, seed: params.seed, simulations: params.simulations });
+      });
+    }, DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [wanted, missing]);
+
+  // Shut the worker down with the component
+  useEffect(() => () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    pendingRef.current.clear();
+  }, []);
+
+  return scenarios.map((scenario, index) => {
+    const entry = cache[keys[index]];
+    return { ...scenario, results: entry && !entry.error ? entry : null, error: entry?.error || null };
+  });
+}
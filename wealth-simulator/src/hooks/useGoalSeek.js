@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef } from 'react';
+
+const createWorker = () => new Worker(
+  new URL('../engine/goalSeek.worker.js', import.meta.url),
+  { type: 'module' }
+);
+
+/**
+ * Run a goal-seek search on demand in its own Web Worker. `results.params`
+ * are the inputs it searched from, so the UI can tell when they've changed.
+ *
+ * Starting a new search while one is running drops the old one. One that
+ * throws keeps the last results and sets `error` until the next run.
+ *
+ * @returns {{ results, progress: number, isRunning: boolean, error: string|null,
+ *   run: (params, field, targetSuccess) => void }}
+ */
+export default function useGoalSeek() {
+  const [results, setResults] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const workerRef = useRef(null);
+  const runIdRef = useRef(0);
+
+  const run = (params, field, targetSuccess) => {
+    workerRef.current?.terminate();
+    workerRef.current = createWorker();
+
+    const id = ++runIdRef.current;
+    setIsRunning(true);
+    setProgress(0);
+    setError(null);
+
+    workerRef.current.onmessage = (event) => {
+      const message = event.data;
+      if (message.id !== runIdRef.current) return;
+
+      if (message.type === 'progress') {
+        setProgress(message.progress);
+      } else if (message.type === 'result') {
+        setIsRunning(false);
+        setResults({ ...message.results, params });
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+    };
+
+    workerRef.current.onerror = (event) => {
+      if (id !== runIdRef.current) return;
+      setIsRunning(false);
+      setError(event.message || 'The search failed');
+      workerRef.current.terminate();
+      workerRef.current = null;
+    };
+
+    workerRef.current.postMessage({ id, params, field, targetSuccess });
+  };
+
+  // Shut the worker down with the component
+  useEffect(() => () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  return { results, progress, isRunning, error, run };
+}
@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react';
+import { SCHEMA_VERSION } from '../engine/scenarioSchema.js';
+
+const STORAGE_KEY = 'wealth-simulator:scenarios';
+
+// Scenarios that can be overlaid on the charts at once
+export const MAX_PINNED = 4;
+
+const EMPTY = { scenarios: [], pinned: [] };
+
+// Saved state from localStorage, or nothing if it's missing or unreadable
+const load = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && Array.isArray(stored.scenarios) && Array.isArray(stored.pinned)) return stored;
+  } catch {
+    // Malformed or storage disabled: start empty
+  }
+  return EMPTY;
+};
+
+const newId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Named scenarios ({ id, name, version, params, savedAt }) kept in
+ * localStorage, and the ids of up to MAX_PINNED of them pinned for comparison.
+ * `version` is the scenario schema version the params were saved with.
+ *
+ * Saving under an existing name replaces that scenario's params.
+ *
+ * @returns {{ scenarios, pinned, save, remove, togglePin, isPinned }}
+ */
+export default function useScenarios() {
+  const [state, setState] = useState(load);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch {
+      // Storage full or disabled: scenarios last for this session only
+    }
+  }, [state]);
+
+  const save = (name, params) => {
+    const label = name.trim();
+    if (!label) return;
+    setState((prev) => {
+      const savedAt = new Date().toISOString();
+      const existing = prev.scenarios.find(s => s.name === label);
+      const scenarios = existing
+        ? prev.scenarios.map(s => (s.id === existing.id ? { ...s, version: SCHEMA_VERSION, params, savedAt } : s))
+        : [...prev.scenarios, { id: newId(), name: label, version: SCHEMA_VERSION, params, savedAt }];
+      return { ...prev, scenarios };
+    });
+  };
+
+  const remove = (id) => {
+    setState((prev) => ({
+      scenarios: prev.scenarios.filter(s => s.id !== id),
+      pinned: prev.pinned.filter(p => p !== id),
+    }));
+  };
+
+  const togglePin = (id) => {
+    setState((prev) => {
+      if (prev.pinned.includes(id)) return { ...prev, pinned: prev.pinned.filter(p => p !== id) };
+      if (prev.pinned.length >= MAX_PINNED) return prev;
+      return { ...prev, pinned: [...prev.pinned, id] };
+    });
+  };
+
+  const isPinned = (id) => state.pinned.includes(id);
+
+  return {
+    scenarios: state.scenarios,
+    pinned: state.pinned.map(id => state.scenarios.find(s => s.id === id)).filter(Boolean),
+    save,
+    remove,
+    togglePin,
+    isPinned,
+  };
+}
@@ -0,0 +1,69 @@
+import { useState, useEffect, useRef } from 'react';
+
+const createWorker = () => new Worker(
+  new URL('../engine/sensitivity.worker.js', import.meta.url),
+  { type: 'module' }
+);
+
+/**
+ * Run the sensitivity analysis on demand in its own Web Worker. It takes a
+ * run per input, so unlike the main simulation it doesn't follow every edit;
+ * `results.params` tells which inputs it was run for.
+ *
+ * Starting a new analysis while one is running drops the old one. One that
+ * throws keeps the last results and sets `error` until the next run.
+ *
+ * @returns {{ results, progress: number, isRunning: boolean, error: string|null,
+ *   run: (params, step) => void }}
+ */
+export default function useSensitivity() {
+  const [results, setResults] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const workerRef = useRef(null);
+  const runIdRef = useRef(0);
+
+  const run = (params, step) => {
+    workerRef.current?.terminate();
+    workerRef.current = createWorker();
+
+    const id = ++runIdRef.current;
+    setIsRunning(true);
+    setProgress(0);
+    setError(null);
+
+    workerRef.current.onmessage = (event) => {
+      const message = event.data;
+      if (message.id !== runIdRef.current) return;
+
+      if (message.type === 'progress') {
+        setProgress(message.progress);
+      } else if (message.type === 'result') {
+        setIsRunning(false);
+        setResults({ ...message.results, params });
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+    };
+
+    workerRef.current.onerror = (event) => {
+      if (id !== runIdRef.current) return;
+      setIsRunning(false);
+      setError(event.message || 'The analysis failed');
+      workerRef.current.terminate();
+      workerRef.current = null;
+    };
+
+    workerRef.current.postMessage({ id, params, step });
+  };
+
+  // Shut the worker down with the component
+  useEffect(() => () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  return { results, progress, isRunning, error, run };
+}
@@ -0,0 +1,114 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Wait for typing to settle before starting a run
+const DEBOUNCE_MS = 250;
+
+const createWorker = () => new Worker(
+  new URL('../engine/simulation.worker.js', import.meta.url),
+  { type: 'module' }
+);
+
+/**
+ * Run the engine once in its own Web Worker, outside the hook (e.g. for
+ * exports that need more than the UI keeps).
+ *
+ * @param {object} params
+ * @param {object} [options]  Extra runSimulation options (e.g. includePaths)
+ * @returns {Promise<object>} The results
+ */
+export const simulateOnce = (params, options = {}) => new Promise((resolve, reject) => {
+  const worker = createWorker();
+  worker.onmessage = (event) => {
+    if (event.data.type !== 'result') return;
+    worker.terminate();
+    resolve(event.data.results);
+  };
+  worker.onerror = (error) => {
+    worker.terminate();
+    reject(error);
+  };
+  worker.postMessage({ id: 0, params, seed: params.seed, simulations: params.simulations, ...options });
+});
+
+/**
+ * Run the Monte Carlo engine in a Web Worker whenever `params` change.
+ *
+ * A run that is still in flight when params change is dropped: the worker is
+ * terminated (the engine loop is synchronous, so it can't be interrupted) and
+ * a fresh one picks up the new params.
+ *
+ * A run that throws leaves the last results in place and reports the error
+ * until params change again.
+ *
+ * @returns {{ results, progress: number, isSimulating: boolean, error: string|null }}
+ */
+export default function useSimulation(params) {
+  const [results, setResults] = useState(null);
+  const [progress, setProgress] = useState({ params: null, value: 0 });
+  const [error, setError] = useState({ params: null, message: null });
+
+  const workerRef = useRef(null);
+  const runningRef = useRef(false);
+  const runIdRef = useRef(0);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      // Cancel a stale run
+      if (workerRef.current && runningRef.current) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+      if (!workerRef.current) workerRef.current = createWorker();
+
+      const id = ++runIdRef.current;
+      runningRef.current = true;
+
+      workerRef.current.onmessage = (event) => {
+        const message = event.data;
+        if (message.id !== runIdRef.current) return;
+
+        if (message.type === 'progress') {
+          setProgress({ params, value: message.progress });
+        } else if (message.type === 'result') {
+          runningRef.current = false;
+          setResults({ ...message.results, params });
+        }
+      };
+
+      // The engine threw: this worker is done, the next run gets a fresh one
+      workerRef.current.onerror = (event) => {
+        if (id !== runIdRef.current) return;
+        runningRef.current = false;
+        workerRef.current.terminate();
+        workerRef.current = null;
+        setError({ params, message: event.message || 'The simulation failed' });
+      };
+
+      workerRef.current.postMessage({
+        id,
+        params,
+        seed: params.seed,
+        simulations: params.simulations,
+      });
+    }, DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [params]);
+
+  // Shut the worker down with the component
+  useEffect(() => () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  // Results are stale until the engine has caught up with the latest params
+  const failed = error.params === params;
+  const isSimulating = !failed && (!results || results.params !== params);
+
+  return {
+    results,
+    progress: isSimulating && progress.params === params ? progress.value : 0,
+    isSimulating,
+    error: failed ? error.message : null,
+  };
+}